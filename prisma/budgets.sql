@@ -0,0 +1,59 @@
+-- Accounts, months, categories, payees and schedules moved from belonging to a user to belonging to a
+-- budget that users join as members. Databases created before that change still key them by
+-- "userId", so run this once, after prisma/master-categories.sql and before prisma/minor-units.sql
+-- and `npm run prisma:db-push`:
+--
+--   psql "$DATABASE_URL" -f prisma/budgets.sql
+--
+-- Every user becomes the owner of one budget named "My Budget", holding their rows and their
+-- strict-overspending setting. The budget takes the user's id so the rows can point at it directly.
+-- Once accounts no longer have a "userId" column the script does nothing, so running it again is a no-op.
+DO $$
+DECLARE
+  owned_table text;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'accounts' AND column_name = 'userId'
+  ) THEN
+    RETURN;
+  END IF;
+
+  CREATE TABLE IF NOT EXISTS budgets (
+    "id" TEXT PRIMARY KEY,
+    "name" TEXT NOT NULL,
+    "strictOverspending" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE IF NOT EXISTS budget_members (
+    "id" TEXT PRIMARY KEY,
+    "budgetId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP
+  );
+
+  INSERT INTO budgets ("id", "name", "strictOverspending", "createdAt")
+  SELECT account_user."id", 'My Budget', account_user."strictOverspending", account_user."createdAt"
+  FROM "User" account_user
+  ON CONFLICT ("id") DO NOTHING;
+
+  INSERT INTO budget_members ("id", "budgetId", "userId", "role", "createdAt")
+  SELECT gen_random_uuid()::text, budget."id", budget."id", 'owner', budget."createdAt"
+  FROM budgets budget
+  WHERE NOT EXISTS (SELECT 1 FROM budget_members member WHERE member."budgetId" = budget."id");
+
+  FOREACH owned_table IN ARRAY ARRAY[
+    'accounts', 'budget_months', 'category_groups', 'master_categories', 'payees', 'payee_rules', 'scheduled_transactions'
+  ] LOOP
+    IF EXISTS (
+      SELECT 1
+      FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = owned_table AND column_name = 'userId'
+    ) THEN
+      EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS "budgetId" TEXT', owned_table);
+      EXECUTE format('UPDATE %I SET "budgetId" = "userId" WHERE "budgetId" IS NULL', owned_table);
+    END IF;
+  END LOOP;
+END $$;
@@ -0,0 +1,73 @@
+-- Category names, groups, payment accounts and goals moved off each month's category row onto
+-- master categories shared across months, grouped by category groups of their own. Databases created
+-- before that change keep them on the month rows, so run this once before prisma/budgets.sql,
+-- prisma/minor-units.sql and `npm run prisma:db-push`:
+--
+--   psql "$DATABASE_URL" -f prisma/master-categories.sql
+--
+-- A user's month rows with the same name and group become one master category, which keeps the goal
+-- of its latest month. Rows without a group land in "Other", as new categories do. Once the month
+-- rows point at master categories the script does nothing, so running it again is a no-op.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'categories' AND column_name = 'name'
+  ) OR EXISTS (
+    SELECT 1
+    FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'categories' AND column_name = 'masterCategoryId'
+  ) THEN
+    RETURN;
+  END IF;
+
+  CREATE TABLE IF NOT EXISTS category_groups (
+    "id" TEXT PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "hidden" BOOLEAN NOT NULL DEFAULT false
+  );
+  CREATE TABLE IF NOT EXISTS master_categories (
+    "id" TEXT PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "groupId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "hidden" BOOLEAN NOT NULL DEFAULT false,
+    "paymentAccountId" TEXT,
+    "goalType" TEXT,
+    "goalAmount" DECIMAL(65, 30),
+    "goalDate" TIMESTAMP(3),
+    "goalPriority" INTEGER NOT NULL DEFAULT 0
+  );
+  ALTER TABLE categories ADD COLUMN IF NOT EXISTS "masterCategoryId" TEXT;
+
+  INSERT INTO category_groups ("id", "userId", "name")
+  SELECT gen_random_uuid()::text, budget_month."userId", COALESCE(category."group", 'Other')
+  FROM categories category
+  JOIN budget_months budget_month ON budget_month."id" = category."budgetMonthId"
+  GROUP BY budget_month."userId", COALESCE(category."group", 'Other');
+
+  INSERT INTO master_categories (
+    "id", "userId", "groupId", "name", "paymentAccountId", "goalType", "goalAmount", "goalDate", "goalPriority"
+  )
+  SELECT DISTINCT ON (budget_month."userId", category_group."id", category."name")
+    gen_random_uuid()::text, budget_month."userId", category_group."id", category."name", category."paymentAccountId",
+    category."goalType", category."goalAmount", category."goalDate", category."goalPriority"
+  FROM categories category
+  JOIN budget_months budget_month ON budget_month."id" = category."budgetMonthId"
+  JOIN category_groups category_group
+    ON category_group."userId" = budget_month."userId" AND category_group."name" = COALESCE(category."group", 'Other')
+  ORDER BY budget_month."userId", category_group."id", category."name", budget_month."month" DESC;
+
+  UPDATE categories category
+  SET "masterCategoryId" = master_category."id"
+  FROM budget_months budget_month, category_groups category_group, master_categories master_category
+  WHERE budget_month."id" = category."budgetMonthId"
+    AND category_group."userId" = budget_month."userId"
+    AND category_group."name" = COALESCE(category."group", 'Other')
+    AND master_category."groupId" = category_group."id"
+    AND master_category."name" = category."name";
+END $$;
@@ -0,0 +1,35 @@
+-- Money columns moved from Decimal units to BigInt minor units. Databases created before that change
+-- hold dollars in those columns, so run this once before `npm run prisma:db-push`:
+--
+--   psql "$DATABASE_URL" -f prisma/minor-units.sql
+--
+-- Budgets then had no currency of their own and were all USD, so every amount becomes cents. Only
+-- columns that are still numeric are converted, which makes running it again after the push a no-op.
+DO $$
+DECLARE
+  money_column record;
+BEGIN
+  FOR money_column IN
+    SELECT table_name, column_name
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+      AND data_type = 'numeric'
+      AND (table_name, column_name) IN (
+        VALUES
+          ('accounts', 'balance'),
+          ('budget_months', 'availableToBudget'),
+          ('budget_months', 'carryoverFromPrev'),
+          ('master_categories', 'goalAmount'),
+          ('categories', 'carryover'),
+          ('categories', 'assigned'),
+          ('categories', 'spent'),
+          ('transactions', 'amount'),
+          ('transaction_splits', 'amount'),
+          ('payee_rules', 'amountMin'),
+          ('payee_rules', 'amountMax'),
+          ('scheduled_transactions', 'amount')
+      )
+  LOOP
+    EXECUTE format('UPDATE %I SET %I = round(%I * 100)', money_column.table_name, money_column.column_name, money_column.column_name);
+  END LOOP;
+END $$;
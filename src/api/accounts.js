@@ -1,44 +1,200 @@
 import { z } from 'zod';
 import { prisma } from '../db.js';
+import { creditReadyToAssign, ensurePaymentCategory, incomeAmount, openBudgetMonth } from '../budget-engine.js';
+import { recordEvent } from '../events.js';
+import { createTransaction } from './transactions.js';
+import { convertAmount } from '../utils/money.js';
+import { currencySchema, exchangeRateSchema, isoDateSchema, minorAmountSchema, monthOf } from '../utils/validation.js';
 
 const accountCreateSchema = z.object({
   name: z.string().min(1),
   type: z.enum(['checking', 'savings', 'credit']),
-  balance: z.number().default(0)
+  currency: currencySchema.optional(),
+  // In the account's currency; foreign-currency accounts convert it with exchangeRate.
+  balance: minorAmountSchema.default(0),
+  exchangeRate: exchangeRateSchema.optional(),
+  date: isoDateSchema.optional()
 });
 
+// Balances are derived from the ledger; drift is corrected through reconcile, not by overwriting.
 const accountPatchSchema = z.object({
-  name: z.string().min(1).optional(),
-  balance: z.number().optional()
+  name: z.string().min(1).optional()
 });
 
+const reconcileSchema = z.object({
+  statementBalance: minorAmountSchema,
+  exchangeRate: exchangeRateSchema.optional(),
+  date: isoDateSchema.optional(),
+  categoryId: z.string().min(1).optional().nullable()
+});
+
+// Transaction amounts are outflow-positive, so a ledger balance is the negated sum of amounts.
+function ledgerBalance(sum) {
+  return -Number(sum ?? 0);
+}
+
+/**
+ * `field` is `amount` for the balance in the budget currency or `originalAmount` for the balance in
+ * a foreign-currency account's own currency.
+ */
+async function clearedBalance(tx, accountId, field = 'amount') {
+  const cleared = await tx.transaction.aggregate({
+    where: { accountId, cleared: true },
+    _sum: { [field]: true }
+  });
+  return ledgerBalance(cleared._sum[field]);
+}
+
+async function budgetCurrency(tx, budgetId) {
+  const { currency } = await tx.budget.findUnique({ where: { id: budgetId }, select: { currency: true } });
+  return currency;
+}
+
+/**
+ * Renames an account inside an open Prisma transaction.
+ */
+export async function patchAccount(tx, budgetId, accountId, payload) {
+  const input = accountPatchSchema.parse(payload);
+  const account = await tx.account.findFirst({ where: { id: accountId, budgetId } });
+  if (!account) return { status: 404, body: { error: 'Account not found' } };
+
+  const renamed = await tx.account.update({ where: { id: accountId }, data: { ...input, version: null } });
+  await recordEvent(tx, budgetId, 'account.updated', renamed, { before: account });
+  return { status: 200, body: renamed };
+}
+
+/**
+ * Opens an account inside an open Prisma transaction, posting any opening balance as income.
+ */
+export async function createAccount(tx, budgetId, payload) {
+  const { date, exchangeRate, ...input } = accountCreateSchema.parse(payload);
+  const currency = await budgetCurrency(tx, budgetId);
+  const foreign = (input.currency ?? currency) !== currency;
+  if (foreign && input.balance !== 0 && !exchangeRate) {
+    return { status: 400, body: { error: 'exchangeRate is required for a foreign-currency opening balance' } };
+  }
+  const balance = foreign && input.balance !== 0
+    ? convertAmount(input.balance, exchangeRate, input.currency, currency)
+    : input.balance;
+
+  const account = await tx.account.create({
+    data: { budgetId, ...input, currency: input.currency ?? currency, balance }
+  });
+  const startDate = date ? new Date(date) : new Date();
+
+  if (account.type === 'credit') {
+    const budget = await openBudgetMonth(tx, budgetId, monthOf(startDate));
+    await ensurePaymentCategory(tx, budget.id, account);
+  }
+
+  if (input.balance !== 0) {
+    // Opening balances are recorded as an uncategorized inflow so they fund Ready to Assign.
+    const startingBalance = await tx.transaction.create({
+      data: {
+        accountId: account.id,
+        date: startDate,
+        payee: 'Starting Balance',
+        amount: -balance,
+        ...(foreign ? { originalAmount: -input.balance, exchangeRate } : {}),
+        cleared: true
+      }
+    });
+    await creditReadyToAssign(tx, budgetId, startingBalance.date, incomeAmount(null, -balance));
+  }
+
+  await recordEvent(tx, budgetId, 'account.created', account);
+  return { status: 201, body: account };
+}
+
 export function createAccountsHandler() {
   return {
-    async list(userId) {
-      const accounts = await prisma.account.findMany({ where: { userId }, orderBy: { name: 'asc' } });
-      return { status: 200, body: accounts };
+    async list(budgetId) {
+      const [budget, accounts, sums] = await prisma.$transaction([
+        prisma.budget.findUnique({ where: { id: budgetId }, select: { currency: true } }),
+        prisma.account.findMany({ where: { budgetId }, orderBy: { name: 'asc' } }),
+        prisma.transaction.groupBy({
+          by: ['accountId', 'cleared'],
+          where: { account: { budgetId } },
+          _sum: { amount: true, originalAmount: true }
+        })
+      ]);
+
+      const body = accounts.map((account) => {
+        const rows = sums.filter((row) => row.accountId === account.id);
+        const sumFor = (cleared) => rows.find((row) => row.cleared === cleared)?._sum.amount;
+        const cleared = ledgerBalance(sumFor(true));
+        const uncleared = ledgerBalance(sumFor(false));
+        // Balances are in the budget currency; foreign accounts also report what the bank shows.
+        const originalBalance = account.currency === budget.currency
+          ? null
+          : rows.reduce((balance, row) => balance + ledgerBalance(row._sum.originalAmount), 0);
+        return { ...account, clearedBalance: cleared, unclearedBalance: uncleared, workingBalance: cleared + uncleared, originalBalance };
+      });
+      return { status: 200, body };
     },
 
-    async create(userId, payload) {
-      const input = accountCreateSchema.parse(payload);
-      const created = await prisma.$transaction((tx) =>
-        tx.account.create({
-          data: { userId, ...input }
-        })
-      );
-      return { status: 201, body: created };
+    async create(budgetId, payload) {
+      return prisma.$transaction((tx) => createAccount(tx, budgetId, payload));
     },
 
-    async patch(userId, accountId, payload) {
-      const input = accountPatchSchema.parse(payload);
-      const updated = await prisma.$transaction(async (tx) => {
-        const account = await tx.account.findFirst({ where: { id: accountId, userId } });
-        if (!account) return null;
-        return tx.account.update({ where: { id: accountId }, data: input });
+    async patch(budgetId, accountId, payload) {
+      return prisma.$transaction((tx) => patchAccount(tx, budgetId, accountId, payload));
+    },
+
+    async reconcile(budgetId, accountId, payload) {
+      const input = reconcileSchema.parse(payload);
+      const date = input.date ? new Date(input.date) : new Date();
+
+      const result = await prisma.$transaction(async (tx) => {
+        const account = await tx.account.findFirst({ where: { id: accountId, budgetId } });
+        if (!account) return { status: 404, body: { error: 'Account not found' } };
+
+        // Statements are in the account's currency, so foreign accounts reconcile their original amounts.
+        const foreign = account.currency !== await budgetCurrency(tx, budgetId);
+        const cleared = await clearedBalance(tx, account.id, foreign ? 'originalAmount' : 'amount');
+        const difference = input.statementBalance - cleared;
+        let adjustment = null;
+        if (difference !== 0) {
+          // Missing money has to come out of a category; found money goes to Ready to Assign.
+          if (difference < 0 && !input.categoryId) {
+            return { status: 400, body: { error: 'categoryId is required when the statement balance is lower' } };
+          }
+          if (difference > 0 && input.categoryId) {
+            return { status: 400, body: { error: 'categoryId only applies when the statement balance is lower' } };
+          }
+          const posted = await createTransaction(tx, budgetId, {
+            accountId: account.id,
+            categoryId: input.categoryId ?? null,
+            date: date.toISOString(),
+            payee: 'Reconciliation Balance Adjustment',
+            ...(foreign ? { originalAmount: -difference, exchangeRate: input.exchangeRate } : { amount: -difference }),
+            cleared: true
+          });
+          if (posted.status !== 201) return posted;
+          adjustment = posted.body;
+        }
+
+        const locked = await tx.transaction.updateMany({
+          where: { accountId: account.id, cleared: true, reconciled: false },
+          data: { reconciled: true, version: null }
+        });
+        const reconciledAccount = await tx.account.update({
+          where: { id: account.id },
+          data: { lastReconciledAt: date, version: null }
+        });
+
+        const body = {
+          account: reconciledAccount,
+          statementBalance: input.statementBalance,
+          clearedBalance: cleared,
+          adjustment,
+          reconciledCount: locked.count
+        };
+        await recordEvent(tx, budgetId, 'account.reconciled', body, { entityId: account.id, before: account });
+        return { status: 200, body };
       });
 
-      if (!updated) return { status: 404, body: { error: 'Account not found' } };
-      return { status: 200, body: updated };
+      return result;
     }
   };
 }
@@ -0,0 +1,209 @@
+import { z } from 'zod';
+import { prisma } from '../db.js';
+import { withActivity } from '../events.js';
+import { paginationSchema } from '../utils/validation.js';
+import { createAccountsHandler } from './accounts.js';
+import { createCategoriesHandler } from './categories.js';
+import { createCategoryGroupsHandler } from './category-groups.js';
+import { createPayeesHandler } from './payees.js';
+import { createSettingsHandler } from './settings.js';
+import { createTransactionsHandler } from './transactions.js';
+
+const listSchema = paginationSchema.extend({
+  entityId: z.string().min(1).optional(),
+  type: z.string().min(1).optional()
+});
+
+const actorSelect = { select: { id: true, email: true } };
+
+/**
+ * Undoing these puts the entity's earlier state back, so they refuse once the entity changed again.
+ * The rest move money back by the amount the event moved and only answer to the budget rules.
+ */
+const RESTORING_TYPES = [
+  'transaction.created',
+  'transaction.updated',
+  'category.updated',
+  'category.goalSet',
+  'category.goalRemoved',
+  'account.updated',
+  'categoryGroup.updated',
+  'payee.updated',
+  'settings.updated'
+];
+
+// Everything else is undone from the `before` state, which events recorded before the audit log lack.
+const UNDONE_FROM_DATA = ['transaction.created', 'category.covered'];
+
+const CONFLICT = { status: 409, body: { error: 'This change was changed again since; undo the later change first' } };
+
+const ALREADY_UNDONE = { status: 409, body: { error: 'This change was already undone' } };
+
+const pickDefined = (row, keys) => Object.fromEntries(keys.filter((key) => row[key] !== undefined).map((key) => [key, row[key]]));
+
+/**
+ * The create/patch payload that writes a transaction back the way an event saw it.
+ */
+function transactionPayload(transaction) {
+  return {
+    accountId: transaction.accountId,
+    date: transaction.date,
+    payee: transaction.payee,
+    memo: transaction.memo,
+    cleared: transaction.cleared,
+    ...(transaction.originalAmount == null
+      ? { amount: transaction.amount }
+      : { originalAmount: transaction.originalAmount, exchangeRate: String(transaction.exchangeRate) }),
+    ...(transaction.splits?.length
+      ? { splits: transaction.splits.map(({ categoryId, amount, memo }) => ({ categoryId, amount, memo })) }
+      : { categoryId: transaction.categoryId })
+  };
+}
+
+async function categoryMonth(budgetId, categoryId) {
+  const category = await prisma.category.findFirst({
+    where: { id: categoryId, budgetMonth: { budgetId } },
+    include: { budgetMonth: true }
+  });
+  if (!category) throw new Error('Category not found');
+  return category.budgetMonth.month.toISOString().slice(0, 7);
+}
+
+export function createActivityHandler() {
+  const accounts = createAccountsHandler();
+  const categories = createCategoriesHandler();
+  const categoryGroups = createCategoryGroupsHandler();
+  const payees = createPayeesHandler();
+  const settings = createSettingsHandler();
+  const transactions = createTransactionsHandler();
+
+  // The inverse of each undoable event, applied through the same handlers a client would call. A
+  // deleted transaction comes back under a new id, so events from before the delete keep pointing
+  // at the old id and undoing them is refused as a conflict.
+  const inverses = {
+    'transaction.created': (budgetId, { data }) => transactions.remove(budgetId, data.id),
+    'transaction.updated': (budgetId, { before }) => (
+      transactions.patch(budgetId, before.id, transactionPayload(before))
+    ),
+    'transaction.deleted': (budgetId, { before }) => transactions.create(budgetId, {
+      ...transactionPayload(before),
+      ...(before.transferAccountId ? { transferAccountId: before.transferAccountId, categoryId: undefined } : {})
+    }),
+    'category.assigned': async (budgetId, { before, data }) => {
+      const amount = Number(data.category.assigned) - Number(before.category.assigned);
+      const month = await categoryMonth(budgetId, data.category.id);
+      return categories.move(budgetId, month, data.category.id, { amount, toCategoryId: null });
+    },
+    'category.moved': async (budgetId, { before, data }) => {
+      const amount = Number(before.from.assigned) - Number(data.from.assigned);
+      const month = await categoryMonth(budgetId, data.from.id);
+      if (!data.to) return categories.assign(budgetId, month, data.from.id, { amount });
+      return categories.move(budgetId, month, data.to.id, { amount, toCategoryId: data.from.id });
+    },
+    'category.covered': async (budgetId, { data }) => {
+      const month = await categoryMonth(budgetId, data.category.id);
+      return categories.move(budgetId, month, data.category.id, { amount: Number(data.amount), toCategoryId: data.from.id });
+    },
+    'category.updated': (budgetId, { before }) => (
+      categories.patchMaster(budgetId, before.id, pickDefined(before, ['name', 'groupId', 'sortOrder', 'hidden']))
+    ),
+    'category.goalSet': undoGoal,
+    'category.goalRemoved': undoGoal,
+    'account.updated': (budgetId, { before }) => accounts.patch(budgetId, before.id, { name: before.name }),
+    'categoryGroup.updated': (budgetId, { before }) => (
+      categoryGroups.patch(budgetId, before.id, pickDefined(before, ['name', 'sortOrder', 'hidden']))
+    ),
+    'payee.updated': (budgetId, { before }) => (
+      payees.patch(budgetId, before.id, { name: before.name, defaultMasterCategoryId: before.defaultMasterCategoryId })
+    ),
+    'settings.updated': (budgetId, { before }) => settings.patch(budgetId, before)
+  };
+
+  const canUndo = (event) => Boolean(inverses[event.type]) && (event.before != null || UNDONE_FROM_DATA.includes(event.type));
+
+  async function undoGoal(budgetId, { before }) {
+    const month = await categoryMonth(budgetId, before.id);
+    if (!before.goalType) return categories.removeGoal(budgetId, month, before.id);
+    return categories.setGoal(budgetId, month, before.id, {
+      type: before.goalType,
+      amount: Number(before.goalAmount),
+      date: before.goalDate,
+      priority: before.goalPriority
+    });
+  }
+
+  return {
+    /**
+     * The budget's audit log, newest first: who changed what, with the entity before and after.
+     */
+    async list(budgetId, query) {
+      const input = listSchema.parse(query ?? {});
+      const where = {
+        budgetId,
+        ...(input.entityId ? { entityId: input.entityId } : {}),
+        ...(input.type ? { type: input.type } : {})
+      };
+
+      const [events, total] = await prisma.$transaction([
+        prisma.budgetEvent.findMany({
+          where,
+          include: { actor: actorSelect },
+          orderBy: { version: 'desc' },
+          skip: (input.page - 1) * input.limit,
+          take: input.limit
+        }),
+        prisma.budgetEvent.count({ where })
+      ]);
+      const undos = await prisma.budgetEvent.findMany({ where: { budgetId, undoOf: { in: events.map((event) => event.id) } } });
+
+      const items = events.map((event) => {
+        const undoneBy = undos.find((undo) => undo.undoOf === event.id)?.id ?? null;
+        return {
+          id: event.id,
+          version: event.version,
+          type: event.type,
+          actor: event.actor,
+          entityId: event.entityId,
+          before: event.before ?? null,
+          after: event.data,
+          undoOf: event.undoOf,
+          undoneBy,
+          undoable: canUndo(event) && !undoneBy,
+          createdAt: event.createdAt
+        };
+      });
+      return { status: 200, body: { items, total, page: input.page, limit: input.limit } };
+    },
+
+    /**
+     * Applies the inverse of an event through the normal handlers, so budget rules apply to the undo
+     * as they would to the change itself. The undo is recorded as an event of its own with `undoOf`,
+     * which is unique, so of two undos racing past the checks here only the first commits.
+     */
+    async undo(budgetId, eventId) {
+      const event = await prisma.budgetEvent.findFirst({ where: { id: eventId, budgetId } });
+      if (!event) return { status: 404, body: { error: 'Activity not found' } };
+
+      if (!canUndo(event)) return { status: 400, body: { error: `${event.type} cannot be undone` } };
+      if (await prisma.budgetEvent.findFirst({ where: { budgetId, undoOf: event.id } })) return ALREADY_UNDONE;
+      if (RESTORING_TYPES.includes(event.type) && event.entityId) {
+        const later = await prisma.budgetEvent.findFirst({
+          where: { budgetId, entityId: event.entityId, version: { gt: event.version } }
+        });
+        if (later) return CONFLICT;
+      }
+
+      try {
+        return await withActivity({ undoOf: event.id }, () => inverses[event.type](budgetId, event));
+      } catch (error) {
+        if (error?.code === 'P2002' && error.meta?.target?.includes('undoOf')) return ALREADY_UNDONE;
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/activity?page=1&limit=25&entityId=<transactionId>" -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/activity/<eventId>/undo -H "Authorization: Bearer <token>"
+ */
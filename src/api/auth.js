@@ -1,7 +1,10 @@
+import { createHash, randomBytes } from 'node:crypto';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { z } from 'zod';
 import { prisma } from '../db.js';
+import { appUrl, mailer } from '../mailer.js';
+import { deleteBudget } from './budgets.js';
 
 const registerSchema = z.object({
   email: z.string().email(),
@@ -10,8 +13,100 @@ const registerSchema = z.object({
 
 const loginSchema = registerSchema;
 
+const refreshSchema = z.object({
+  refreshToken: z.string().min(1)
+});
+
+const tokenSchema = z.object({
+  token: z.string().min(1)
+});
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email()
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1),
+  password: z.string().min(8)
+});
+
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1),
+  newPassword: z.string().min(8)
+});
+
+const deleteAccountSchema = z.object({
+  password: z.string().min(1)
+});
+
+const VERIFY_EMAIL = 'verify-email';
+
+const RESET_PASSWORD = 'reset-password';
+
+const TOKEN_TTL_MS = { [VERIFY_EMAIL]: 7 * 24 * 60 * 60 * 1000, [RESET_PASSWORD]: 60 * 60 * 1000 };
+
+const ACCESS_TOKEN_TTL = '15m';
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const DEV_SECRET = 'dev-secret';
+
+/**
+ * Throws when the server would sign tokens with the development secret in production.
+ */
+export function ensureJwtSecret() {
+  if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+}
+
 function getJwtSecret() {
-  return process.env.JWT_SECRET || 'dev-secret';
+  ensureJwtSecret();
+  return process.env.JWT_SECRET || DEV_SECRET;
+}
+
+// Only a hash of each refresh token is stored, so a leaked sessions table cannot be replayed.
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Creates a single-use token of `type` for the user and mails it to them.
+ */
+async function sendAuthToken(user, type) {
+  const token = randomBytes(32).toString('hex');
+  await prisma.authToken.create({
+    data: { userId: user.id, type, tokenHash: hashToken(token), expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]) }
+  });
+
+  const message = type === VERIFY_EMAIL
+    ? { subject: 'Verify your email address', text: `Confirm your email with this token: ${token}\n${appUrl(`/verify-email?token=${token}`)}` }
+    : { subject: 'Reset your password', text: `Reset your password within an hour with this token: ${token}\n${appUrl(`/reset-password?token=${token}`)}` };
+  await mailer.send({ to: user.email, ...message });
+}
+
+/**
+ * Marks a token as used and returns it, or null when it is unknown, spent, expired or of another type.
+ */
+async function redeemAuthToken(type, token) {
+  const found = await prisma.authToken.findUnique({ where: { tokenHash: hashToken(token) } });
+  if (!found || found.type !== type || found.usedAt || found.expiresAt < new Date()) return null;
+
+  // The usedAt guard makes concurrent redemptions of the same token race for a single winner.
+  const claimed = await prisma.authToken.updateMany({ where: { id: found.id, usedAt: null }, data: { usedAt: new Date() } });
+  return claimed.count === 1 ? found : null;
+}
+
+async function revokeSessions(userId, exceptSessionId) {
+  await prisma.session.updateMany({
+    where: { userId, revokedAt: null, ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}) },
+    data: { revokedAt: new Date() }
+  });
+}
+
+function issueTokens(user, session, refreshToken) {
+  const token = jwt.sign({ sub: user.id, email: user.email, sid: session.id }, getJwtSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+  return { token, refreshToken };
 }
 
 export async function register(payload) {
@@ -24,12 +119,100 @@ export async function register(payload) {
   const password = await bcrypt.hash(input.password, 10);
   const user = await prisma.user.create({
     data: { email: input.email, password },
-    select: { id: true, email: true, createdAt: true }
+    select: { id: true, email: true, emailVerifiedAt: true, createdAt: true }
   });
+  await sendAuthToken(user, VERIFY_EMAIL);
 
   return { status: 201, body: user };
 }
 
+/**
+ * Unverified users can sign in and work in their own budgets; accepting a budget invite, which is
+ * bound to an email address, needs the address verified first.
+ */
+export async function verifyEmail(payload) {
+  const input = tokenSchema.parse(payload);
+  const token = await redeemAuthToken(VERIFY_EMAIL, input.token);
+  if (!token) return { status: 400, body: { error: 'Invalid or expired token' } };
+
+  await prisma.user.update({ where: { id: token.userId }, data: { emailVerifiedAt: new Date() } });
+  return { status: 200, body: { success: true } };
+}
+
+export async function resendVerification(user) {
+  const found = await prisma.user.findUnique({ where: { id: user.sub } });
+  if (found.emailVerifiedAt) return { status: 409, body: { error: 'Email is already verified' } };
+
+  await sendAuthToken(found, VERIFY_EMAIL);
+  return { status: 202, body: { success: true } };
+}
+
+/**
+ * Always answers 202 so the endpoint cannot be used to find out which emails are registered.
+ */
+export async function forgotPassword(payload) {
+  const input = forgotPasswordSchema.parse(payload);
+  const user = await prisma.user.findUnique({ where: { email: input.email } });
+  if (user) await sendAuthToken(user, RESET_PASSWORD);
+
+  return { status: 202, body: { success: true } };
+}
+
+export async function resetPassword(payload) {
+  const input = resetPasswordSchema.parse(payload);
+  const token = await redeemAuthToken(RESET_PASSWORD, input.token);
+  if (!token) return { status: 400, body: { error: 'Invalid or expired token' } };
+
+  const password = await bcrypt.hash(input.password, 10);
+  await prisma.user.update({ where: { id: token.userId }, data: { password } });
+  await revokeSessions(token.userId);
+  return { status: 200, body: { success: true } };
+}
+
+/**
+ * Changing the password signs out every other session; the caller's own session stays valid.
+ */
+export async function changePassword(user, payload) {
+  const input = changePasswordSchema.parse(payload);
+  const found = await prisma.user.findUnique({ where: { id: user.sub } });
+  if (!(await bcrypt.compare(input.currentPassword, found.password))) {
+    return { status: 403, body: { error: 'Current password is incorrect' } };
+  }
+
+  const password = await bcrypt.hash(input.newPassword, 10);
+  await prisma.user.update({ where: { id: found.id }, data: { password } });
+  await revokeSessions(found.id, user.sid);
+  return { status: 200, body: { success: true } };
+}
+
+/**
+ * Deletes the user with every budget they solely own; budgets with another owner only lose this member.
+ */
+export async function deleteAccount(user, payload) {
+  const input = deleteAccountSchema.parse(payload);
+  const found = await prisma.user.findUnique({ where: { id: user.sub } });
+  if (!(await bcrypt.compare(input.password, found.password))) {
+    return { status: 403, body: { error: 'Password is incorrect' } };
+  }
+
+  await prisma.$transaction(async (tx) => {
+    const memberships = await tx.budgetMember.findMany({ where: { userId: found.id } });
+    for (const membership of memberships) {
+      const owners = await tx.budgetMember.count({ where: { budgetId: membership.budgetId, role: 'owner' } });
+      if (membership.role === 'owner' && owners === 1) {
+        await deleteBudget(tx, membership.budgetId);
+      } else {
+        await tx.budgetMember.delete({ where: { id: membership.id } });
+      }
+    }
+    await tx.session.deleteMany({ where: { userId: found.id } });
+    await tx.authToken.deleteMany({ where: { userId: found.id } });
+    await tx.user.delete({ where: { id: found.id } });
+  });
+
+  return { status: 200, body: { success: true } };
+}
+
 export async function login(payload) {
   const input = loginSchema.parse(payload);
   const user = await prisma.user.findUnique({ where: { email: input.email } });
@@ -42,32 +225,105 @@ export async function login(payload) {
     return { status: 401, body: { error: 'Invalid credentials' } };
   }
 
-  const token = jwt.sign({ sub: user.id, email: user.email }, getJwtSecret(), {
-    expiresIn: '1h'
+  const refreshToken = randomBytes(32).toString('hex');
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    }
   });
 
-  return { status: 200, body: { token } };
+  return { status: 200, body: issueTokens(user, session, refreshToken) };
 }
 
-export function verifyJwt(req, res, next) {
+/**
+ * Trades a refresh token for a new access token. Refresh tokens rotate: the one presented stops
+ * working as soon as its replacement is issued, and presenting it again revokes the session, since
+ * either the client or someone who copied the token is replaying it.
+ */
+export async function refresh(payload) {
+  const input = refreshSchema.parse(payload);
+  const presented = hashToken(input.refreshToken);
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: presented },
+    include: { user: true }
+  });
+  if (!session) {
+    await prisma.session.updateMany({ where: { previousRefreshTokenHash: presented, revokedAt: null }, data: { revokedAt: new Date() } });
+    return { status: 401, body: { error: 'Invalid refresh token' } };
+  }
+  if (session.revokedAt || session.expiresAt < new Date()) {
+    return { status: 401, body: { error: 'Invalid refresh token' } };
+  }
+
+  // The hash guard makes concurrent refreshes with the same token race for a single winner.
+  const refreshToken = randomBytes(32).toString('hex');
+  const rotated = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: presented, revokedAt: null },
+    data: {
+      refreshTokenHash: hashToken(refreshToken),
+      previousRefreshTokenHash: presented,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    }
+  });
+  if (rotated.count !== 1) return { status: 401, body: { error: 'Invalid refresh token' } };
+
+  return { status: 200, body: issueTokens(session.user, session, refreshToken) };
+}
+
+export async function logout(user) {
+  await prisma.session.updateMany({ where: { id: user.sid, revokedAt: null }, data: { revokedAt: new Date() } });
+  return { status: 200, body: { success: true } };
+}
+
+export async function logoutAll(user) {
+  const revoked = await prisma.session.updateMany({ where: { userId: user.sub, revokedAt: null }, data: { revokedAt: new Date() } });
+  return { status: 200, body: { revoked: revoked.count } };
+}
+
+export async function verifyJwt(req, res, next) {
   const auth = req.headers?.authorization;
   if (!auth?.startsWith('Bearer ')) {
     res.status(401).json({ error: 'Missing token' });
     return;
   }
 
+  let payload;
   try {
-    req.user = jwt.verify(auth.slice(7), getJwtSecret());
-    next();
+    payload = jwt.verify(auth.slice(7), getJwtSecret());
   } catch {
     res.status(401).json({ error: 'Invalid token' });
+    return;
   }
+
+  try {
+    const session = payload.sid ? await prisma.session.findUnique({ where: { id: payload.sid } }) : null;
+    if (!session || session.revokedAt) {
+      res.status(401).json({ error: 'Session has been revoked' });
+      return;
+    }
+  } catch (error) {
+    next(error);
+    return;
+  }
+
+  req.user = payload;
+  next();
 }
 
 /**
  * Example curl commands:
  * curl -X POST http://localhost:3000/api/auth/register -H "content-type: application/json" -d '{"email":"demo@example.com","password":"password123"}'
  * curl -X POST http://localhost:3000/api/auth/login -H "content-type: application/json" -d '{"email":"demo@example.com","password":"password123"}'
+ * curl -X POST http://localhost:3000/api/auth/refresh -H "content-type: application/json" -d '{"refreshToken":"<refreshToken>"}'
+ * curl -X POST http://localhost:3000/api/auth/logout -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/auth/logout-all -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/auth/verify-email -H "content-type: application/json" -d '{"token":"<emailToken>"}'
+ * curl -X POST http://localhost:3000/api/auth/forgot-password -H "content-type: application/json" -d '{"email":"demo@example.com"}'
+ * curl -X POST http://localhost:3000/api/auth/reset-password -H "content-type: application/json" -d '{"token":"<resetToken>","password":"new-password123"}'
+ * curl -X POST http://localhost:3000/api/auth/change-password -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"currentPassword":"password123","newPassword":"new-password123"}'
+ * curl -X DELETE http://localhost:3000/api/auth/me -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"password":"password123"}'
  */
 export function createAuthHandler() {
   return {
@@ -77,6 +333,33 @@ export function createAuthHandler() {
     async login(reqBody) {
       return login(reqBody);
     },
+    async refresh(reqBody) {
+      return refresh(reqBody);
+    },
+    async logout(user) {
+      return logout(user);
+    },
+    async logoutAll(user) {
+      return logoutAll(user);
+    },
+    async verifyEmail(reqBody) {
+      return verifyEmail(reqBody);
+    },
+    async resendVerification(user) {
+      return resendVerification(user);
+    },
+    async forgotPassword(reqBody) {
+      return forgotPassword(reqBody);
+    },
+    async resetPassword(reqBody) {
+      return resetPassword(reqBody);
+    },
+    async changePassword(user, reqBody) {
+      return changePassword(user, reqBody);
+    },
+    async deleteAccount(user, reqBody) {
+      return deleteAccount(user, reqBody);
+    },
     verifyJwt
   };
 }
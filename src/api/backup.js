@@ -0,0 +1,428 @@
+import { randomUUID } from 'node:crypto';
+import { Readable } from 'node:stream';
+import archiver from 'archiver';
+import { z } from 'zod';
+import { prisma } from '../db.js';
+import { recordEvent } from '../events.js';
+import { MATCH_TYPES, ruleError } from './payees.js';
+import { jsonReplacer } from '../utils/money.js';
+import { currencySchema, exchangeRateSchema, isoDateSchema, minorAmountSchema } from '../utils/validation.js';
+
+// Version 3 stores money as integer minor units.
+export const BACKUP_VERSION = 3;
+
+const BATCH_SIZE = 500;
+
+// Every batch of a snapshot reads the budget as of the snapshot's first query, so a write landing
+// part way through cannot leave rows pointing at records the snapshot is missing.
+const SNAPSHOT_OPTIONS = { isolationLevel: 'RepeatableRead', maxWait: 10000, timeout: 60000 };
+
+async function* inBatches(delegate, where) {
+  let cursor;
+  for (;;) {
+    const rows = await delegate.findMany({
+      where,
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+    });
+    yield* rows;
+    if (rows.length < BATCH_SIZE) return;
+    cursor = rows.at(-1).id;
+  }
+}
+
+const ENTITIES = [
+  {
+    key: 'accounts',
+    model: 'account',
+    file: 'accounts.csv',
+    columns: ['id', 'name', 'type', 'currency', 'balance', 'lastReconciledAt', 'updatedAt'],
+    where: (budgetId) => ({ budgetId })
+  },
+  {
+    key: 'categoryGroups',
+    model: 'categoryGroup',
+    file: 'category_groups.csv',
+    columns: ['id', 'name', 'sortOrder', 'hidden'],
+    where: (budgetId) => ({ budgetId })
+  },
+  {
+    key: 'masterCategories',
+    model: 'masterCategory',
+    file: 'master_categories.csv',
+    columns: [
+      'id', 'groupId', 'name', 'sortOrder', 'hidden', 'paymentAccountId',
+      'goalType', 'goalAmount', 'goalDate', 'goalPriority'
+    ],
+    where: (budgetId) => ({ budgetId })
+  },
+  {
+    key: 'payees',
+    model: 'payee',
+    file: 'payees.csv',
+    columns: ['id', 'name', 'defaultMasterCategoryId'],
+    where: (budgetId) => ({ budgetId })
+  },
+  {
+    key: 'payeeRules',
+    model: 'payeeRule',
+    file: 'payee_rules.csv',
+    columns: ['id', 'priority', 'matchType', 'matchValue', 'amountMin', 'amountMax', 'payeeId', 'masterCategoryId', 'memo', 'createdAt'],
+    where: (budgetId) => ({ budgetId })
+  },
+  {
+    key: 'budgetMonths',
+    model: 'budgetMonth',
+    file: 'budget_months.csv',
+    columns: ['id', 'month', 'availableToBudget', 'carryoverFromPrev'],
+    where: (budgetId) => ({ budgetId })
+  },
+  {
+    key: 'categories',
+    model: 'category',
+    file: 'categories.csv',
+    columns: ['id', 'budgetMonthId', 'masterCategoryId', 'carryover', 'assigned', 'spent'],
+    where: (budgetId) => ({ budgetMonth: { budgetId } })
+  },
+  {
+    key: 'transactions',
+    model: 'transaction',
+    file: 'transactions.csv',
+    columns: [
+      'id', 'accountId', 'categoryId', 'date', 'payee', 'amount', 'originalAmount', 'exchangeRate', 'memo',
+      'cleared', 'reconciled', 'transferAccountId', 'transferTransactionId', 'payeeId'
+    ],
+    where: (budgetId) => ({ account: { budgetId } })
+  },
+  {
+    key: 'transactionSplits',
+    model: 'transactionSplit',
+    file: 'transaction_splits.csv',
+    columns: ['id', 'transactionId', 'categoryId', 'amount', 'memo'],
+    where: (budgetId) => ({ transaction: { account: { budgetId } } })
+  },
+  {
+    key: 'scheduledTransactions',
+    model: 'scheduledTransaction',
+    file: 'scheduled_transactions.csv',
+    columns: [
+      'id', 'accountId', 'categoryId', 'transferAccountId', 'payee', 'amount', 'originalAmount', 'exchangeRate', 'memo',
+      'frequency', 'intervalDays', 'startDate', 'endDate', 'nextDate'
+    ],
+    where: (budgetId) => ({ budgetId })
+  }
+];
+
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function* csvLines(entity, rows) {
+  yield `${entity.columns.join(',')}\r\n`;
+  for (const row of rows) {
+    yield `${entity.columns.map((column) => csvValue(row[column])).join(',')}\r\n`;
+  }
+}
+
+const optionalText = z.string().optional().nullable();
+const optionalDate = isoDateSchema.optional().nullable();
+
+const backupSchema = z.object({
+  version: z.literal(BACKUP_VERSION),
+  settings: z.object({ strictOverspending: z.boolean().optional(), currency: currencySchema.optional() }).optional(),
+  accounts: z.array(z.object({
+    id: z.string().min(1),
+    name: z.string().min(1),
+    type: z.enum(['checking', 'savings', 'credit']),
+    currency: currencySchema,
+    balance: minorAmountSchema,
+    lastReconciledAt: optionalDate
+  })),
+  categoryGroups: z.array(z.object({
+    id: z.string().min(1),
+    name: z.string().min(1),
+    sortOrder: z.number().int(),
+    hidden: z.boolean()
+  })),
+  masterCategories: z.array(z.object({
+    id: z.string().min(1),
+    groupId: z.string().min(1),
+    name: z.string().min(1),
+    sortOrder: z.number().int(),
+    hidden: z.boolean(),
+    paymentAccountId: optionalText,
+    goalType: optionalText,
+    goalAmount: minorAmountSchema.optional().nullable(),
+    goalDate: optionalDate,
+    goalPriority: z.number().int().default(0)
+  })),
+  payees: z.array(z.object({
+    id: z.string().min(1),
+    name: z.string().min(1),
+    defaultMasterCategoryId: optionalText
+  })).default([]),
+  payeeRules: z.array(z.object({
+    id: z.string().min(1),
+    priority: z.number().int().default(0),
+    matchType: z.enum(MATCH_TYPES),
+    matchValue: z.string().min(1),
+    amountMin: minorAmountSchema.optional().nullable(),
+    amountMax: minorAmountSchema.optional().nullable(),
+    payeeId: optionalText,
+    masterCategoryId: optionalText,
+    memo: optionalText,
+    createdAt: optionalDate
+  }).superRefine((rule, context) => {
+    const error = ruleError(rule);
+    if (error) context.addIssue({ code: z.ZodIssueCode.custom, message: error, path: ['matchValue'] });
+  })).default([]),
+  budgetMonths: z.array(z.object({
+    id: z.string().min(1),
+    month: isoDateSchema,
+    availableToBudget: minorAmountSchema,
+    carryoverFromPrev: minorAmountSchema
+  })),
+  categories: z.array(z.object({
+    id: z.string().min(1),
+    budgetMonthId: z.string().min(1),
+    masterCategoryId: z.string().min(1),
+    carryover: minorAmountSchema,
+    assigned: minorAmountSchema,
+    spent: minorAmountSchema
+  })),
+  transactions: z.array(z.object({
+    id: z.string().min(1),
+    accountId: z.string().min(1),
+    categoryId: optionalText,
+    date: isoDateSchema,
+    payee: optionalText,
+    amount: minorAmountSchema,
+    originalAmount: minorAmountSchema.optional().nullable(),
+    exchangeRate: exchangeRateSchema.optional().nullable(),
+    memo: optionalText,
+    cleared: z.boolean(),
+    reconciled: z.boolean().default(false),
+    transferAccountId: optionalText,
+    transferTransactionId: optionalText,
+    payeeId: optionalText
+  })),
+  transactionSplits: z.array(z.object({
+    id: z.string().min(1),
+    transactionId: z.string().min(1),
+    categoryId: optionalText,
+    amount: minorAmountSchema,
+    memo: optionalText
+  })),
+  scheduledTransactions: z.array(z.object({
+    id: z.string().min(1),
+    accountId: z.string().min(1),
+    categoryId: optionalText,
+    transferAccountId: optionalText,
+    payee: optionalText,
+    amount: minorAmountSchema.optional().nullable(),
+    originalAmount: minorAmountSchema.optional().nullable(),
+    exchangeRate: exchangeRateSchema.optional().nullable(),
+    memo: optionalText,
+    frequency: z.string().min(1),
+    intervalDays: z.number().int().positive().optional().nullable(),
+    startDate: isoDateSchema,
+    endDate: optionalDate,
+    nextDate: optionalDate
+  })).default([])
+});
+
+/**
+ * Backups keep their internal references but every record gets a fresh id, so a backup can be
+ * restored next to the budget it was taken from.
+ */
+function createIdMap(backup) {
+  const ids = new Map();
+  for (const entity of ENTITIES) {
+    for (const row of backup[entity.key]) ids.set(row.id, randomUUID());
+  }
+
+  return (oldId) => {
+    if (!oldId) return null;
+    if (!ids.has(oldId)) throw new Error(`Backup references unknown record ${oldId}`);
+    return ids.get(oldId);
+  };
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+function remapBackup(backup, budgetId) {
+  const id = createIdMap(backup);
+  return {
+    accounts: backup.accounts.map((row) => ({ ...row, id: id(row.id), budgetId, lastReconciledAt: toDate(row.lastReconciledAt) })),
+    categoryGroups: backup.categoryGroups.map((row) => ({ ...row, id: id(row.id), budgetId })),
+    masterCategories: backup.masterCategories.map((row) => ({
+      ...row,
+      id: id(row.id),
+      budgetId,
+      groupId: id(row.groupId),
+      paymentAccountId: id(row.paymentAccountId),
+      goalDate: toDate(row.goalDate)
+    })),
+    payees: backup.payees.map((row) => ({
+      ...row,
+      id: id(row.id),
+      budgetId,
+      defaultMasterCategoryId: id(row.defaultMasterCategoryId)
+    })),
+    payeeRules: backup.payeeRules.map((row) => ({
+      ...row,
+      id: id(row.id),
+      budgetId,
+      payeeId: id(row.payeeId),
+      masterCategoryId: id(row.masterCategoryId),
+      createdAt: toDate(row.createdAt) ?? undefined
+    })),
+    budgetMonths: backup.budgetMonths.map((row) => ({ ...row, id: id(row.id), budgetId, month: new Date(row.month) })),
+    categories: backup.categories.map((row) => ({
+      ...row,
+      id: id(row.id),
+      budgetMonthId: id(row.budgetMonthId),
+      masterCategoryId: id(row.masterCategoryId)
+    })),
+    transactions: backup.transactions.map((row) => ({
+      ...row,
+      id: id(row.id),
+      accountId: id(row.accountId),
+      categoryId: id(row.categoryId),
+      transferAccountId: id(row.transferAccountId),
+      transferTransactionId: id(row.transferTransactionId),
+      payeeId: id(row.payeeId),
+      date: new Date(row.date)
+    })),
+    transactionSplits: backup.transactionSplits.map((row) => ({
+      ...row,
+      id: id(row.id),
+      transactionId: id(row.transactionId),
+      categoryId: id(row.categoryId)
+    })),
+    scheduledTransactions: backup.scheduledTransactions.map((row) => ({
+      ...row,
+      id: id(row.id),
+      budgetId,
+      accountId: id(row.accountId),
+      categoryId: id(row.categoryId),
+      transferAccountId: id(row.transferAccountId),
+      startDate: new Date(row.startDate),
+      endDate: toDate(row.endDate),
+      nextDate: toDate(row.nextDate)
+    }))
+  };
+}
+
+/**
+ * Reads a budget's settings and every record into memory from one consistent snapshot, keyed like a
+ * JSON backup.
+ */
+export async function snapshotBudget(budgetId) {
+  return prisma.$transaction(async (tx) => {
+    const snapshot = {
+      settings: await tx.budget.findUnique({ where: { id: budgetId }, select: { strictOverspending: true, currency: true } })
+    };
+    for (const entity of ENTITIES) {
+      snapshot[entity.key] = [];
+      for await (const row of inBatches(tx[entity.model], entity.where(budgetId))) snapshot[entity.key].push(row);
+    }
+    return snapshot;
+  }, SNAPSHOT_OPTIONS);
+}
+
+async function insertRecords(tx, records) {
+  // ENTITIES is ordered so every record is inserted after the rows it references. Sync versions
+  // belong to the source budget, so copied rows start out pending.
+  for (const entity of ENTITIES) {
+    await tx[entity.model].createMany({ data: records[entity.key].map(({ version, ...row }) => row) });
+  }
+}
+
+/**
+ * Copies a snapshot into `budgetId` under fresh ids.
+ */
+export async function insertSnapshot(tx, budgetId, snapshot) {
+  await insertRecords(tx, remapBackup(snapshot, budgetId));
+}
+
+/**
+ * Deletes every record of a budget, dependents first.
+ */
+export async function deleteBudgetRecords(tx, budgetId) {
+  for (const entity of [...ENTITIES].reverse()) {
+    await tx[entity.model].deleteMany({ where: entity.where(budgetId) });
+  }
+}
+
+export function createBackupHandler() {
+  return {
+    async *json(budgetId) {
+      const snapshot = await snapshotBudget(budgetId);
+      yield `{"version":${BACKUP_VERSION},"exportedAt":${JSON.stringify(new Date())},"settings":${JSON.stringify(snapshot.settings)}`;
+      for (const entity of ENTITIES) {
+        yield `,${JSON.stringify(entity.key)}:[`;
+        let separator = '';
+        for (const row of snapshot[entity.key]) {
+          yield separator + JSON.stringify(row, jsonReplacer);
+          separator = ',';
+        }
+        yield ']';
+      }
+      yield '}\n';
+    },
+
+    async csv(budgetId) {
+      const snapshot = await snapshotBudget(budgetId);
+      const archive = archiver('zip');
+      for (const entity of ENTITIES) {
+        archive.append(Readable.from(csvLines(entity, snapshot[entity.key])), { name: entity.file });
+      }
+      archive.finalize();
+      return archive;
+    },
+
+    async restore(budgetId, payload) {
+      const backup = backupSchema.parse(payload);
+
+      let records;
+      try {
+        records = remapBackup(backup, budgetId);
+      } catch (error) {
+        return { status: 400, body: { error: error.message } };
+      }
+
+      const result = await prisma.$transaction(async (tx) => {
+        const [accounts, months, groups] = await Promise.all([
+          tx.account.count({ where: { budgetId } }),
+          tx.budgetMonth.count({ where: { budgetId } }),
+          tx.categoryGroup.count({ where: { budgetId } })
+        ]);
+        if (accounts > 0 || months > 0 || groups > 0) {
+          return { status: 409, body: { error: 'Backups can only be restored into an empty budget' } };
+        }
+
+        if (backup.settings) {
+          await tx.budget.update({ where: { id: budgetId }, data: backup.settings });
+        }
+        await insertRecords(tx, records);
+
+        const restored = Object.fromEntries(ENTITIES.map((entity) => [entity.key, backup[entity.key].length]));
+        await recordEvent(tx, budgetId, 'budget.restored', { restored });
+        return { status: 201, body: { restored } };
+      });
+
+      return result;
+    }
+  };
+}
+
+/**
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/export?format=json" -H "Authorization: Bearer <token>" -o backup.json
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/export?format=csv" -H "Authorization: Bearer <token>" -o export.zip
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/import/backup -H "Authorization: Bearer <token>" -H "content-type: application/json" --data-binary @backup.json
+ */
@@ -0,0 +1,279 @@
+import { randomBytes } from 'node:crypto';
+import { z } from 'zod';
+import { prisma } from '../db.js';
+import { recordEvent } from '../events.js';
+import { appUrl, mailer } from '../mailer.js';
+import { currencySchema } from '../utils/validation.js';
+import { deleteBudgetRecords, insertSnapshot, snapshotBudget } from './backup.js';
+
+export const BUDGET_ROLES = ['owner', 'editor', 'viewer'];
+
+const DEFAULT_BUDGET_NAME = 'My Budget';
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const FORBIDDEN = { status: 403, body: { error: 'Only budget owners can do this' } };
+
+const budgetSchema = z.object({
+  name: z.string().trim().min(1)
+});
+
+// The currency is fixed once the budget exists; every budget figure is in its minor units.
+const budgetCreateSchema = budgetSchema.extend({
+  currency: currencySchema.optional()
+});
+
+const duplicateSchema = z.object({
+  name: z.string().trim().min(1).optional()
+});
+
+const inviteSchema = z.object({
+  email: z.string().email(),
+  role: z.enum(['editor', 'viewer'])
+});
+
+const memberPatchSchema = z.object({
+  role: z.enum(BUDGET_ROLES)
+});
+
+async function createOwnedBudget(tx, userId, data) {
+  const budget = await tx.budget.create({ data });
+  await tx.budgetMember.create({ data: { budgetId: budget.id, userId, role: 'owner' } });
+  return budget;
+}
+
+/**
+ * Users who belong to no budget yet get a personal one they own, so a new user always has a budget to open.
+ */
+async function defaultMembership(userId) {
+  const membership = await prisma.budgetMember.findFirst({ where: { userId }, orderBy: { createdAt: 'asc' } });
+  if (membership) return membership;
+
+  return prisma.$transaction((tx) => createOwnedBudget(tx, userId, { name: DEFAULT_BUDGET_NAME }));
+}
+
+/**
+ * Deletes a budget with all of its records; memberships and invites cascade.
+ */
+export async function deleteBudget(tx, budgetId) {
+  await deleteBudgetRecords(tx, budgetId);
+  await tx.budget.delete({ where: { id: budgetId } });
+}
+
+/**
+ * Authorizes `/api/budgets/:budgetId/...` against the caller's membership and sets
+ * `req.budget = { id, role }`. Viewers may only read.
+ */
+export async function budgetAccess(req, res, next) {
+  try {
+    const membership = await prisma.budgetMember.findFirst({ where: { budgetId: req.params.budgetId, userId: req.user.sub } });
+    if (!membership) {
+      res.status(404).json({ error: 'Budget not found' });
+      return;
+    }
+    if (membership.role === 'viewer' && !READ_METHODS.includes(req.method)) {
+      res.status(403).json({ error: 'Viewers cannot modify this budget' });
+      return;
+    }
+
+    req.budget = { id: membership.budgetId, role: membership.role };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function ownerCount(tx, budgetId) {
+  return tx.budgetMember.count({ where: { budgetId, role: 'owner' } });
+}
+
+export function createBudgetsHandler() {
+  return {
+    async list(userId) {
+      await defaultMembership(userId);
+      const memberships = await prisma.budgetMember.findMany({
+        where: { userId },
+        include: { budget: true },
+        orderBy: { createdAt: 'asc' }
+      });
+      const body = memberships.map(({ budget, role }) => ({ id: budget.id, name: budget.name, currency: budget.currency, role }));
+      return { status: 200, body };
+    },
+
+    async create(userId, payload) {
+      const input = budgetCreateSchema.parse(payload);
+      const budget = await prisma.$transaction((tx) => createOwnedBudget(tx, userId, input));
+      return { status: 201, body: { ...budget, role: 'owner' } };
+    },
+
+    async rename(budget, payload) {
+      if (budget.role !== 'owner') return FORBIDDEN;
+      const input = budgetSchema.parse(payload);
+      const updated = await prisma.$transaction(async (tx) => {
+        const { name } = await tx.budget.findUnique({ where: { id: budget.id } });
+        const renamed = await tx.budget.update({ where: { id: budget.id }, data: { name: input.name } });
+        await recordEvent(tx, budget.id, 'budget.updated', { id: renamed.id, name: renamed.name }, { before: { id: budget.id, name } });
+        return renamed;
+      });
+      return { status: 200, body: { ...updated, role: budget.role } };
+    },
+
+    /**
+     * Deep-copies accounts, categories, months, transactions and the rest of the budget into a new
+     * budget owned by the caller. Members are not copied.
+     */
+    async duplicate(budget, userId, payload) {
+      const input = duplicateSchema.parse(payload ?? {});
+      const source = await prisma.budget.findUnique({ where: { id: budget.id } });
+      const snapshot = await snapshotBudget(budget.id);
+
+      const copy = await prisma.$transaction(async (tx) => {
+        const created = await createOwnedBudget(tx, userId, {
+          name: input.name ?? `${source.name} (copy)`,
+          strictOverspending: source.strictOverspending,
+          currency: source.currency
+        });
+        await insertSnapshot(tx, created.id, snapshot);
+        return created;
+      });
+      return { status: 201, body: { ...copy, role: 'owner' } };
+    },
+
+    async remove(budget) {
+      if (budget.role !== 'owner') return FORBIDDEN;
+
+      await prisma.$transaction((tx) => deleteBudget(tx, budget.id));
+      return { status: 200, body: { success: true } };
+    },
+
+    async members(budget) {
+      const [members, invites] = await prisma.$transaction([
+        prisma.budgetMember.findMany({
+          where: { budgetId: budget.id },
+          include: { user: { select: { id: true, email: true } } },
+          orderBy: { createdAt: 'asc' }
+        }),
+        prisma.budgetInvite.findMany({ where: { budgetId: budget.id, acceptedAt: null }, orderBy: { createdAt: 'asc' } })
+      ]);
+
+      const body = {
+        members: members.map((member) => ({ userId: member.userId, email: member.user.email, role: member.role })),
+        // Tokens are only handed out to the owner who created the invite.
+        invites: invites.map(({ token, ...invite }) => invite)
+      };
+      return { status: 200, body };
+    },
+
+    async invite(budget, payload) {
+      if (budget.role !== 'owner') return FORBIDDEN;
+      const input = inviteSchema.parse(payload);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const existing = await tx.budgetMember.findFirst({ where: { budgetId: budget.id, user: { email: input.email } } });
+        if (existing) return { status: 409, body: { error: 'User is already a member of this budget' } };
+
+        const invite = await tx.budgetInvite.create({
+          data: { budgetId: budget.id, email: input.email, role: input.role, token: randomBytes(24).toString('hex') }
+        });
+        const { token, ...pending } = invite;
+        await recordEvent(tx, budget.id, 'invite.created', pending);
+        return { status: 201, body: invite };
+      });
+      if (result.status !== 201) return result;
+
+      // Mail only once the invite is committed, so the link never points at a rolled-back invite.
+      const invite = result.body;
+      const { name } = await prisma.budget.findUnique({ where: { id: budget.id } });
+      await mailer.send({
+        to: invite.email,
+        subject: `You're invited to the budget "${name}"`,
+        text: `Accept the invite by POSTing to ${appUrl(`/api/invites/${invite.token}/accept`)} while signed in as ${invite.email}.`
+      });
+      return result;
+    },
+
+    async accept(user, token) {
+      const result = await prisma.$transaction(async (tx) => {
+        const invite = await tx.budgetInvite.findUnique({ where: { token } });
+        if (!invite || invite.acceptedAt || Date.now() - invite.createdAt.getTime() > INVITE_TTL_MS) {
+          return { status: 404, body: { error: 'Invite not found or expired' } };
+        }
+        if (invite.email.toLowerCase() !== user.email.toLowerCase()) {
+          return { status: 403, body: { error: 'Invite was sent to a different email address' } };
+        }
+        // The invite is bound to the address, so only a user who proved they own it may take it up.
+        const account = await tx.user.findUnique({ where: { id: user.sub } });
+        if (!account?.emailVerifiedAt) {
+          return { status: 403, body: { error: 'Verify your email address before accepting invites' } };
+        }
+
+        const member = await tx.budgetMember.upsert({
+          where: { budgetId_userId: { budgetId: invite.budgetId, userId: user.sub } },
+          create: { budgetId: invite.budgetId, userId: user.sub, role: invite.role },
+          update: {}
+        });
+        await tx.budgetInvite.update({ where: { id: invite.id }, data: { acceptedAt: new Date() } });
+        await recordEvent(
+          tx, member.budgetId, 'member.added', { userId: member.userId, email: user.email, role: member.role }, { entityId: member.userId }
+        );
+        return { status: 200, body: { budgetId: member.budgetId, role: member.role } };
+      });
+
+      return result;
+    },
+
+    async patchMember(budget, memberUserId, payload) {
+      if (budget.role !== 'owner') return FORBIDDEN;
+      const input = memberPatchSchema.parse(payload);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const member = await tx.budgetMember.findFirst({ where: { budgetId: budget.id, userId: memberUserId } });
+        if (!member) return { status: 404, body: { error: 'Member not found' } };
+        if (member.role === 'owner' && input.role !== 'owner' && await ownerCount(tx, budget.id) === 1) {
+          return { status: 400, body: { error: 'A budget needs at least one owner' } };
+        }
+
+        const updated = await tx.budgetMember.update({ where: { id: member.id }, data: { role: input.role } });
+        const body = { userId: updated.userId, role: updated.role };
+        await recordEvent(tx, budget.id, 'member.updated', body, { entityId: member.userId, before: member });
+        return { status: 200, body };
+      });
+
+      return result;
+    },
+
+    async removeMember(budget, userId, memberUserId) {
+      // Anyone may leave; only owners remove other members.
+      if (budget.role !== 'owner' && memberUserId !== userId) return FORBIDDEN;
+
+      const result = await prisma.$transaction(async (tx) => {
+        const member = await tx.budgetMember.findFirst({ where: { budgetId: budget.id, userId: memberUserId } });
+        if (!member) return { status: 404, body: { error: 'Member not found' } };
+        if (member.role === 'owner' && await ownerCount(tx, budget.id) === 1) {
+          return { status: 400, body: { error: 'A budget needs at least one owner' } };
+        }
+
+        await tx.budgetMember.delete({ where: { id: member.id } });
+        await recordEvent(tx, budget.id, 'member.removed', { userId: member.userId }, { entityId: member.userId, before: member });
+        return { status: 200, body: { success: true } };
+      });
+
+      return result;
+    }
+  };
+}
+
+/**
+ * curl -X GET http://localhost:3000/api/budgets -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Side business","currency":"EUR"}'
+ * curl -X PATCH http://localhost:3000/api/budgets/<budgetId> -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Household"}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/duplicate -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"What-if"}'
+ * curl -X DELETE http://localhost:3000/api/budgets/<budgetId> -H "Authorization: Bearer <token>"
+ * curl -X GET http://localhost:3000/api/budgets/<budgetId>/members -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/invites -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"email":"partner@example.com","role":"editor"}'
+ * curl -X POST http://localhost:3000/api/invites/<inviteToken>/accept -H "Authorization: Bearer <token>"
+ * curl -X PATCH http://localhost:3000/api/budgets/<budgetId>/members/<userId> -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"role":"viewer"}'
+ * curl -X DELETE http://localhost:3000/api/budgets/<budgetId>/members/<userId> -H "Authorization: Bearer <token>"
+ */
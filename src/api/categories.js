@@ -1,79 +1,451 @@
 import { z } from 'zod';
 import { prisma } from '../db.js';
-import { assignMoney } from '../budget-engine.js';
-import { parseMonth } from '../utils/validation.js';
+import {
+  GOAL_TYPES,
+  assignMoney,
+  categoryAvailable,
+  coverOverspending,
+  ensureCategoryGroup,
+  ensureMonthCategory,
+  goalProgress,
+  moveMoney,
+  openBudgetMonth,
+  readyToAssign,
+  rolloverMonth
+} from '../budget-engine.js';
+import { recordEvent } from '../events.js';
+import { recordDeletion } from '../sync.js';
+import { isoDateSchema, parseMonth } from '../utils/validation.js';
+
+const DEFAULT_GROUP = 'Other';
 
 const categoryCreateSchema = z.object({
   name: z.string().min(1),
-  group: z.string().optional()
+  group: z.string().min(1).optional(),
+  groupId: z.string().min(1).optional(),
+  sortOrder: z.number().int().optional()
+});
+
+const masterPatchSchema = z.object({
+  name: z.string().min(1).optional(),
+  groupId: z.string().min(1).optional(),
+  sortOrder: z.number().int().optional(),
+  hidden: z.boolean().optional()
+});
+
+const removeSchema = z.object({
+  reassignTo: z.string().min(1).optional()
 });
 
 const assignSchema = z.object({
-  amount: z.number().nonnegative()
+  amount: z.number().int().nonnegative()
+});
+
+const moveSchema = z.object({
+  toCategoryId: z.string().min(1).nullable().optional(),
+  amount: z.number().int().positive()
 });
 
+const coverSchema = z.object({
+  fromCategoryId: z.string().min(1)
+});
+
+const goalSchema = z.object({
+  type: z.enum(GOAL_TYPES),
+  amount: z.number().int().positive(),
+  date: isoDateSchema.optional().nullable(),
+  priority: z.number().int().min(0).optional()
+}).refine((goal) => goal.type === 'monthlyFunding' || goal.date, {
+  message: 'date is required for this goal type',
+  path: ['date']
+});
+
+// Month rows carry the figures; name, ordering and goal live on the master category.
+function withMaster(row) {
+  const { masterCategory, ...figures } = row;
+  return { ...masterCategory, ...figures };
+}
+
+function withGoal(category, month) {
+  const available = categoryAvailable(category);
+  return { ...category, available, overspent: available < 0, goal: goalProgress(category, month) };
+}
+
+async function updateGoal(tx, budgetId, month, categoryId, type, data) {
+  const found = await findMonthCategories(tx, budgetId, month, [categoryId]);
+  if (found.error) return found.error;
+  const [category] = found.categories;
+
+  await tx.masterCategory.update({ where: { id: category.masterCategoryId }, data: { ...data, version: null } });
+  const body = withGoal({ ...category, ...data }, month);
+  await recordEvent(tx, budgetId, type, body, { before: withGoal(category, month) });
+  return { status: 200, body };
+}
+
+function groupTotals(categories) {
+  const sum = (field) => categories.reduce((total, category) => total + Number(category[field]), 0);
+  return { assigned: sum('assigned'), spent: sum('spent'), available: sum('available') };
+}
+
+/**
+ * Moves a deleted master category's month figures and every reference to its month rows onto `target`.
+ */
+async function reassignMonthRows(tx, rows, target) {
+  for (const row of rows) {
+    const replacement = await ensureMonthCategory(tx, row.budgetMonthId, target.id);
+    await tx.category.update({
+      where: { id: replacement.id },
+      data: {
+        carryover: { increment: Number(row.carryover) },
+        assigned: { increment: Number(row.assigned) },
+        spent: { increment: Number(row.spent) },
+        version: null
+      }
+    });
+    const moved = { where: { categoryId: row.id }, data: { categoryId: replacement.id } };
+    await tx.transaction.updateMany({ ...moved, data: { ...moved.data, version: null } });
+    await tx.transaction.updateMany({ where: { splits: { some: { categoryId: row.id } } }, data: { version: null } });
+    await tx.transactionSplit.updateMany(moved);
+    await tx.scheduledTransaction.updateMany(moved);
+  }
+}
+
+async function hasActivity(tx, rows) {
+  if (rows.some((row) => Number(row.carryover) || Number(row.assigned) || Number(row.spent))) return true;
+  const where = { categoryId: { in: rows.map((row) => row.id) } };
+  const [transactions, splits, schedules] = await Promise.all([
+    tx.transaction.count({ where }),
+    tx.transactionSplit.count({ where }),
+    tx.scheduledTransaction.count({ where })
+  ]);
+  return transactions + splits + schedules > 0;
+}
+
+/**
+ * A category id from a month listing is its month row, or its master category when the month has
+ * no row for it yet.
+ */
+async function masterCategoryOf(tx, budgetId, categoryId) {
+  const row = await tx.category.findFirst({ where: { id: categoryId, budgetMonth: { budgetId } } });
+  if (row) return row.masterCategoryId;
+  const master = await tx.masterCategory.findFirst({ where: { id: categoryId, budgetId } });
+  return master?.id ?? null;
+}
+
+/**
+ * Resolves `categoryIds` to their rows in `month`, opening the month and any missing rows.
+ */
+async function findMonthCategories(tx, budgetId, month, categoryIds) {
+  const masterIds = [];
+  for (const categoryId of categoryIds) {
+    const masterCategoryId = await masterCategoryOf(tx, budgetId, categoryId);
+    if (!masterCategoryId) return { error: { status: 404, body: { error: 'Category not found' } } };
+    masterIds.push(masterCategoryId);
+  }
+
+  const budget = await openBudgetMonth(tx, budgetId, month);
+  const categories = [];
+  for (const masterCategoryId of masterIds) {
+    const row = await ensureMonthCategory(tx, budget.id, masterCategoryId);
+    const category = await tx.category.findFirst({
+      where: { id: row.id, budgetMonthId: budget.id },
+      include: { masterCategory: true }
+    });
+    categories.push(withMaster(category));
+  }
+
+  return { budget, categories };
+}
+
+/**
+ * The category rows `month` holds, or would open with, worked out without writing: viewing a month
+ * never opens it. Categories without a row yet show as empty.
+ */
+async function viewMonthRows(tx, budgetId, month) {
+  const budget = await tx.budgetMonth.findUnique({ where: { budgetId_month: { budgetId, month } } });
+  if (budget) return tx.category.findMany({ where: { budgetMonthId: budget.id } });
+
+  const previous = await tx.budgetMonth.findFirst({
+    where: { budgetId, month: { lt: month } },
+    orderBy: { month: 'desc' },
+    include: { categories: true }
+  });
+  if (!previous) return [];
+  return rolloverMonth(previous).categories
+    .map(({ masterCategoryId, carryover }) => ({ masterCategoryId, carryover, assigned: 0, spent: 0 }));
+}
+
+/**
+ * Assigns money to a category in `month` inside an open Prisma transaction.
+ */
+export async function assignCategory(tx, budgetId, month, categoryId, payload) {
+  const input = assignSchema.parse(payload);
+  const found = await findMonthCategories(tx, budgetId, month, [categoryId]);
+  if (found.error) return found.error;
+  const { budget, categories: [category] } = found;
+
+  assignMoney({
+    availableToBudget: await readyToAssign(tx, budgetId, month),
+    assigned: input.amount
+  });
+
+  const updatedBudget = await tx.budgetMonth.update({
+    where: { id: budget.id },
+    data: { availableToBudget: { decrement: input.amount }, version: null }
+  });
+
+  const updatedCategory = await tx.category.update({
+    where: { id: category.id },
+    data: { assigned: { increment: input.amount }, version: null }
+  });
+
+  const body = { budgetMonth: updatedBudget, category: updatedCategory };
+  await recordEvent(tx, budgetId, 'category.assigned', body, { entityId: category.id, before: { budgetMonth: budget, category } });
+  return { status: 200, body };
+}
 
 export function createCategoriesHandler() {
   return {
-    async list(userId, monthString) {
+    async list(budgetId, monthString, options = {}) {
       const month = parseMonth(monthString);
-      const budget = await prisma.budgetMonth.findUnique({
-        where: { userId_month: { userId, month } },
-        include: { categories: true }
+      const { groups, rows } = await prisma.$transaction(async (tx) => {
+        const groups = await tx.categoryGroup.findMany({
+          where: { budgetId },
+          orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }],
+          include: { categories: { orderBy: [{ sortOrder: 'asc' }, { name: 'asc' }] } }
+        });
+        return { groups, rows: await viewMonthRows(tx, budgetId, month) };
       });
-      return { status: 200, body: budget?.categories ?? [] };
+
+      const visible = (entry) => options.includeHidden || !entry.hidden;
+      const body = groups.filter(visible).map(({ categories, ...group }) => {
+        const monthCategories = categories.filter(visible).map((master) => {
+          // Without a row of its own yet, the category is listed under its master category's id.
+          const row = rows.find((candidate) => candidate.masterCategoryId === master.id)
+            ?? { masterCategoryId: master.id, carryover: 0, assigned: 0, spent: 0 };
+          return withGoal({ ...master, ...row }, month);
+        });
+        return { ...group, ...groupTotals(monthCategories), categories: monthCategories };
+      });
+      return { status: 200, body };
     },
 
-    async create(userId, monthString, payload) {
+    async create(budgetId, monthString, payload) {
       const month = parseMonth(monthString);
       const input = categoryCreateSchema.parse(payload);
 
-      const created = await prisma.$transaction(async (tx) => {
-        const budget = await tx.budgetMonth.upsert({
-          where: { userId_month: { userId, month } },
-          update: {},
-          create: { userId, month }
-        });
+      const result = await prisma.$transaction(async (tx) => {
+        const budget = await openBudgetMonth(tx, budgetId, month);
+        const group = input.groupId
+          ? await tx.categoryGroup.findFirst({ where: { id: input.groupId, budgetId } })
+          : await ensureCategoryGroup(tx, budgetId, input.group ?? DEFAULT_GROUP);
+        if (!group) return { status: 404, body: { error: 'Category group not found' } };
 
-        return tx.category.create({
-          data: { budgetMonthId: budget.id, ...input }
+        const master = await tx.masterCategory.create({
+          data: { budgetId, groupId: group.id, name: input.name, sortOrder: input.sortOrder ?? 0 }
+        });
+        const row = await tx.category.create({
+          data: { budgetMonthId: budget.id, masterCategoryId: master.id }
         });
+        const body = { ...master, ...row };
+        await recordEvent(tx, budgetId, 'category.created', body);
+        return { status: 201, body };
       });
 
-      return { status: 201, body: created };
+      return result;
     },
 
-    async assign(userId, monthString, categoryId, payload) {
+    async patchMaster(budgetId, masterCategoryId, payload) {
+      const input = masterPatchSchema.parse(payload);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const master = await tx.masterCategory.findFirst({ where: { id: masterCategoryId, budgetId } });
+        if (!master) return { status: 404, body: { error: 'Category not found' } };
+        if (input.groupId) {
+          const group = await tx.categoryGroup.findFirst({ where: { id: input.groupId, budgetId } });
+          if (!group) return { status: 404, body: { error: 'Category group not found' } };
+        }
+
+        const updated = await tx.masterCategory.update({ where: { id: master.id }, data: { ...input, version: null } });
+        await recordEvent(tx, budgetId, 'category.updated', updated, { before: master });
+        return { status: 200, body: updated };
+      });
+
+      return result;
+    },
+
+    async removeMaster(budgetId, masterCategoryId, query) {
+      const input = removeSchema.parse(query ?? {});
+
+      const result = await prisma.$transaction(async (tx) => {
+        const master = await tx.masterCategory.findFirst({ where: { id: masterCategoryId, budgetId } });
+        if (!master) return { status: 404, body: { error: 'Category not found' } };
+        if (master.paymentAccountId) {
+          return { status: 400, body: { error: 'Credit card payment categories cannot be deleted' } };
+        }
+
+        const rows = await tx.category.findMany({ where: { masterCategoryId: master.id } });
+        if (input.reassignTo) {
+          const target = await tx.masterCategory.findFirst({ where: { id: input.reassignTo, budgetId } });
+          if (!target || target.id === master.id) return { status: 404, body: { error: 'Target category not found' } };
+          await reassignMonthRows(tx, rows, target);
+        } else if (await hasActivity(tx, rows)) {
+          return { status: 400, body: { error: 'reassignTo is required for categories with activity' } };
+        }
+
+        const replacement = input.reassignTo ?? null;
+        await tx.payee.updateMany({ where: { defaultMasterCategoryId: master.id }, data: { defaultMasterCategoryId: replacement } });
+        await tx.payeeRule.updateMany({ where: { masterCategoryId: master.id }, data: { masterCategoryId: replacement } });
+        await tx.category.deleteMany({ where: { masterCategoryId: master.id } });
+        await tx.masterCategory.delete({ where: { id: master.id } });
+        await recordDeletion(tx, budgetId, 'category', rows.map((row) => row.id));
+        await recordDeletion(tx, budgetId, 'masterCategory', [master.id]);
+        await recordEvent(tx, budgetId, 'category.deleted', { id: master.id, reassignTo: replacement }, { before: master });
+        return { status: 200, body: { success: true } };
+      });
+
+      return result;
+    },
+
+    async assign(budgetId, monthString, categoryId, payload) {
+      const month = parseMonth(monthString);
+      return prisma.$transaction((tx) => assignCategory(tx, budgetId, month, categoryId, payload));
+    },
+
+    async move(budgetId, monthString, categoryId, payload) {
       const month = parseMonth(monthString);
-      const input = assignSchema.parse(payload);
+      const input = moveSchema.parse(payload);
 
       const result = await prisma.$transaction(async (tx) => {
-        const budget = await tx.budgetMonth.findUnique({
-          where: { userId_month: { userId, month } }
-        });
-        if (!budget) return { status: 404, body: { error: 'Budget month not found' } };
+        const found = await findMonthCategories(tx, budgetId, month, [categoryId, ...(input.toCategoryId ? [input.toCategoryId] : [])]);
+        if (found.error) return found.error;
+        const [source, target] = found.categories;
+        const audit = { entityId: source.id, before: { budgetMonth: found.budget, from: source, to: target ?? null } };
 
-        const category = await tx.category.findFirst({
-          where: { id: categoryId, budgetMonthId: budget.id }
+        moveMoney({ available: categoryAvailable(source), amount: input.amount });
+
+        const updatedSource = await tx.category.update({
+          where: { id: source.id },
+          data: { assigned: { decrement: input.amount }, version: null }
         });
-        if (!category) return { status: 404, body: { error: 'Category not found' } };
 
-        const engine = assignMoney({
-          availableToBudget: Number(budget.availableToBudget),
-          assigned: input.amount
+        if (!target) {
+          const updatedBudget = await tx.budgetMonth.update({
+            where: { id: found.budget.id },
+            data: { availableToBudget: { increment: input.amount }, version: null }
+          });
+          const body = { budgetMonth: updatedBudget, from: updatedSource, to: null };
+          await recordEvent(tx, budgetId, 'category.moved', body, audit);
+          return { status: 200, body };
+        }
+
+        const updatedTarget = await tx.category.update({
+          where: { id: target.id },
+          data: { assigned: { increment: input.amount }, version: null }
         });
+        const body = { budgetMonth: found.budget, from: updatedSource, to: updatedTarget };
+        await recordEvent(tx, budgetId, 'category.moved', body, audit);
+        return { status: 200, body };
+      });
 
-        const updatedBudget = await tx.budgetMonth.update({
-          where: { id: budget.id },
-          data: { availableToBudget: engine.availableToBudget }
+      return result;
+    },
+
+    async cover(budgetId, monthString, categoryId, payload) {
+      const month = parseMonth(monthString);
+      const input = coverSchema.parse(payload);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const found = await findMonthCategories(tx, budgetId, month, [categoryId, input.fromCategoryId]);
+        if (found.error) return found.error;
+        const [overspent, source] = found.categories;
+
+        const engine = coverOverspending({
+          available: categoryAvailable(overspent),
+          sourceAvailable: categoryAvailable(source)
         });
 
+        const updatedSource = await tx.category.update({
+          where: { id: source.id },
+          data: { assigned: { decrement: engine.amount }, version: null }
+        });
         const updatedCategory = await tx.category.update({
-          where: { id: category.id },
-          data: { assigned: { increment: input.amount } }
+          where: { id: overspent.id },
+          data: { assigned: { increment: engine.amount }, version: null }
         });
 
-        return { status: 200, body: { budgetMonth: updatedBudget, category: updatedCategory } };
+        const body = { category: updatedCategory, from: updatedSource, amount: engine.amount };
+        await recordEvent(tx, budgetId, 'category.covered', body, { entityId: overspent.id, before: { category: overspent, from: source } });
+        return { status: 200, body };
+      });
+
+      return result;
+    },
+
+    async setGoal(budgetId, monthString, categoryId, payload) {
+      const month = parseMonth(monthString);
+      const input = goalSchema.parse(payload);
+      const data = {
+        goalType: input.type,
+        goalAmount: input.amount,
+        goalDate: input.date ? new Date(input.date) : null,
+        goalPriority: input.priority ?? 0
+      };
+
+      return prisma.$transaction((tx) => updateGoal(tx, budgetId, month, categoryId, 'category.goalSet', data));
+    },
+
+    async removeGoal(budgetId, monthString, categoryId) {
+      const month = parseMonth(monthString);
+      const data = { goalType: null, goalAmount: null, goalDate: null, goalPriority: 0 };
+      return prisma.$transaction((tx) => updateGoal(tx, budgetId, month, categoryId, 'category.goalRemoved', data));
+    },
+
+    async autoAssign(budgetId, monthString) {
+      const month = parseMonth(monthString);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const budget = await openBudgetMonth(tx, budgetId, month);
+        // Categories with goals but no row in this month yet still get funded.
+        const goals = await tx.masterCategory.findMany({ where: { budgetId, goalType: { not: null } } });
+        for (const master of goals) await ensureMonthCategory(tx, budget.id, master.id);
+
+        const rows = await tx.category.findMany({
+          where: { budgetMonthId: budget.id },
+          include: { masterCategory: true }
+        });
+        const underfunded = rows
+          .map(withMaster)
+          .map((category) => ({ category, goal: goalProgress(category, month) }))
+          .filter(({ goal }) => goal?.underfunded > 0)
+          .sort((a, b) => a.category.goalPriority - b.category.goalPriority
+            || (a.goal.date ?? Infinity) - (b.goal.date ?? Infinity)
+            || a.category.name.localeCompare(b.category.name));
+
+        const ready = await readyToAssign(tx, budgetId, month);
+        let availableToBudget = ready;
+        const funded = [];
+        const before = [];
+        for (const { category, goal } of underfunded) {
+          if (availableToBudget <= 0) break;
+          const engine = assignMoney({ availableToBudget, assigned: Math.min(goal.underfunded, availableToBudget) });
+          availableToBudget = engine.availableToBudget;
+
+          const updated = await tx.category.update({
+            where: { id: category.id },
+            data: { assigned: { increment: engine.assigned }, version: null }
+          });
+          before.push(category);
+          funded.push({ ...withGoal({ ...category, ...updated }, month), funded: engine.assigned });
+        }
+
+        const updatedBudget = await tx.budgetMonth.update({
+          where: { id: budget.id },
+          data: { availableToBudget: { decrement: ready - availableToBudget }, version: null }
+        });
+        const body = { budgetMonth: updatedBudget, categories: funded };
+        await recordEvent(tx, budgetId, 'category.autoAssigned', body, { entityId: budget.id, before: { budgetMonth: budget, categories: before } });
+        return { status: 200, body };
       });
 
       return result;
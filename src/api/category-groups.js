@@ -0,0 +1,97 @@
+import { z } from 'zod';
+import { prisma } from '../db.js';
+import { recordEvent } from '../events.js';
+import { recordDeletion } from '../sync.js';
+
+const groupCreateSchema = z.object({
+  name: z.string().min(1),
+  sortOrder: z.number().int().optional()
+});
+
+const groupPatchSchema = z.object({
+  name: z.string().min(1).optional(),
+  sortOrder: z.number().int().optional(),
+  hidden: z.boolean().optional()
+});
+
+const removeSchema = z.object({
+  reassignTo: z.string().min(1).optional()
+});
+
+async function nameTaken(tx, budgetId, name, exceptId) {
+  const existing = await tx.categoryGroup.findFirst({ where: { budgetId, name } });
+  return Boolean(existing && existing.id !== exceptId);
+}
+
+export function createCategoryGroupsHandler() {
+  return {
+    async create(budgetId, payload) {
+      const input = groupCreateSchema.parse(payload);
+
+      const result = await prisma.$transaction(async (tx) => {
+        if (await nameTaken(tx, budgetId, input.name)) {
+          return { status: 409, body: { error: 'Category group already exists' } };
+        }
+
+        const group = await tx.categoryGroup.create({
+          data: { budgetId, name: input.name, sortOrder: input.sortOrder ?? 0 }
+        });
+        await recordEvent(tx, budgetId, 'categoryGroup.created', group);
+        return { status: 201, body: group };
+      });
+
+      return result;
+    },
+
+    async patch(budgetId, groupId, payload) {
+      const input = groupPatchSchema.parse(payload);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const group = await tx.categoryGroup.findFirst({ where: { id: groupId, budgetId } });
+        if (!group) return { status: 404, body: { error: 'Category group not found' } };
+        if (input.name && await nameTaken(tx, budgetId, input.name, group.id)) {
+          return { status: 409, body: { error: 'Category group already exists' } };
+        }
+
+        const updated = await tx.categoryGroup.update({ where: { id: group.id }, data: { ...input, version: null } });
+        await recordEvent(tx, budgetId, 'categoryGroup.updated', updated, { before: group });
+        return { status: 200, body: updated };
+      });
+
+      return result;
+    },
+
+    async remove(budgetId, groupId, query) {
+      const input = removeSchema.parse(query ?? {});
+
+      const result = await prisma.$transaction(async (tx) => {
+        const group = await tx.categoryGroup.findFirst({ where: { id: groupId, budgetId } });
+        if (!group) return { status: 404, body: { error: 'Category group not found' } };
+
+        const categories = await tx.masterCategory.count({ where: { groupId: group.id } });
+        if (categories > 0) {
+          if (!input.reassignTo) {
+            return { status: 400, body: { error: 'reassignTo is required for groups with categories' } };
+          }
+          const target = await tx.categoryGroup.findFirst({ where: { id: input.reassignTo, budgetId } });
+          if (!target || target.id === group.id) return { status: 404, body: { error: 'Target category group not found' } };
+
+          await tx.masterCategory.updateMany({ where: { groupId: group.id }, data: { groupId: target.id, version: null } });
+        }
+
+        await tx.categoryGroup.delete({ where: { id: group.id } });
+        await recordDeletion(tx, budgetId, 'categoryGroup', [group.id]);
+        await recordEvent(tx, budgetId, 'categoryGroup.deleted', { id: group.id, reassignTo: input.reassignTo ?? null }, { before: group });
+        return { status: 200, body: { success: true } };
+      });
+
+      return result;
+    }
+  };
+}
+
+/**
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/category-groups -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Bills","sortOrder":1}'
+ * curl -X PATCH http://localhost:3000/api/budgets/<budgetId>/category-groups/<groupId> -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"hidden":true}'
+ * curl -X DELETE "http://localhost:3000/api/budgets/<budgetId>/category-groups/<groupId>?reassignTo=<groupId>" -H "Authorization: Bearer <token>"
+ */
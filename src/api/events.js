@@ -0,0 +1,88 @@
+import { z } from 'zod';
+import { prisma } from '../db.js';
+import { waitForBudgetChange } from '../events.js';
+import { jsonReplacer } from '../utils/money.js';
+
+const HEARTBEAT_MS = 15 * 1000;
+
+const BATCH_SIZE = 100;
+
+const listSchema = z.object({
+  after: z.coerce.number().int().min(0).default(0),
+  limit: z.coerce.number().int().min(1).max(500).default(BATCH_SIZE)
+});
+
+function eventsAfter(budgetId, after, limit) {
+  return prisma.budgetEvent.findMany({
+    where: { budgetId, version: { gt: after } },
+    orderBy: { version: 'asc' },
+    take: limit
+  });
+}
+
+/**
+ * SSE frames use the version as the event id, so a reconnecting EventSource resumes from
+ * `Last-Event-ID` on its own.
+ */
+function sseFrame(event) {
+  const data = JSON.stringify({ version: event.version, type: event.type, data: event.data, createdAt: event.createdAt }, jsonReplacer);
+  return `id: ${event.version}\nevent: ${event.type}\ndata: ${data}\n\n`;
+}
+
+/**
+ * Whether a stream's caller may still read the budget: their session has not been revoked and they
+ * are still a member.
+ */
+async function canStillRead(budgetId, user) {
+  const [session, membership] = await Promise.all([
+    prisma.session.findUnique({ where: { id: user.sid } }),
+    prisma.budgetMember.findFirst({ where: { budgetId, userId: user.sub } })
+  ]);
+  return Boolean(session && !session.revokedAt && membership);
+}
+
+export function createEventsHandler() {
+  return {
+    /**
+     * Events after `after`, oldest first, with the budget's current version so a client knows
+     * whether it has caught up.
+     */
+    async list(budgetId, query) {
+      const input = listSchema.parse(query ?? {});
+      const [budget, events] = await prisma.$transaction([
+        prisma.budget.findUnique({ where: { id: budgetId }, select: { version: true } }),
+        eventsAfter(budgetId, input.after, input.limit)
+      ]);
+      return { status: 200, body: { version: budget.version, events } };
+    },
+
+    /**
+     * Yields SSE frames: first everything after `after` (or `lastEventId`), then each new event as
+     * it commits, with a comment line as heartbeat while idle. Ends once `signal` aborts, or when
+     * `user` loses access to the budget, checked each time the stream wakes.
+     */
+    async *stream(budgetId, user, query, lastEventId, signal) {
+      let { after } = listSchema.parse({ after: query?.after ?? lastEventId });
+      yield `retry: ${HEARTBEAT_MS}\n\n`;
+
+      while (!signal.aborted) {
+        const events = await eventsAfter(budgetId, after, BATCH_SIZE);
+        for (const event of events) {
+          yield sseFrame(event);
+          after = event.version;
+        }
+        if (events.length === BATCH_SIZE) continue;
+
+        const changed = await waitForBudgetChange(budgetId, HEARTBEAT_MS, signal);
+        if (signal.aborted || !(await canStillRead(budgetId, user))) return;
+        if (!changed) yield ': heartbeat\n\n';
+      }
+    }
+  };
+}
+
+/**
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/events?after=120" -H "Authorization: Bearer <token>"
+ * curl -N http://localhost:3000/api/budgets/<budgetId>/events/stream -H "Authorization: Bearer <token>" -H "Last-Event-ID: 120"
+ * curl -N "http://localhost:3000/api/budgets/<budgetId>/events/stream?after=120&access_token=<token>"
+ */
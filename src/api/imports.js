@@ -0,0 +1,168 @@
+import { z } from 'zod';
+import { prisma, Rollback, transactionOrRollback } from '../db.js';
+import { recordEvent } from '../events.js';
+import { failedResult } from '../errors.js';
+import { createTransaction } from './transactions.js';
+import { currencyExponent } from '../utils/money.js';
+import { exchangeRateSchema, isoDateSchema, minorAmountSchema } from '../utils/validation.js';
+import { DATE_FORMATS, parseCsv, parseOfx, parseQif } from '../utils/statement-parsers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const mappingSchema = z.object({
+  date: z.string().min(1),
+  payee: z.string().min(1).optional(),
+  memo: z.string().min(1).optional(),
+  amount: z.string().min(1).optional(),
+  outflow: z.string().min(1).optional(),
+  inflow: z.string().min(1).optional(),
+  invertAmount: z.boolean().optional(),
+  delimiter: z.string().length(1).optional(),
+  dateFormat: z.enum(DATE_FORMATS).optional()
+});
+
+const previewSchema = z.object({
+  accountId: z.string().min(1),
+  format: z.enum(['csv', 'ofx', 'qif']),
+  content: z.string().min(1),
+  mapping: mappingSchema.optional(),
+  dateFormat: z.enum(DATE_FORMATS).optional()
+});
+
+// Amounts are in the account's currency; foreign-currency accounts convert them with exchangeRate,
+// taken from the row or else from the whole import.
+const commitSchema = z.object({
+  accountId: z.string().min(1),
+  exchangeRate: exchangeRateSchema.optional(),
+  transactions: z.array(z.object({
+    date: isoDateSchema,
+    payee: z.string().optional().nullable(),
+    memo: z.string().optional().nullable(),
+    amount: minorAmountSchema,
+    exchangeRate: exchangeRateSchema.optional(),
+    categoryId: z.string().optional().nullable(),
+    duplicateOf: z.string().optional().nullable()
+  })).min(1)
+});
+
+function parseStatement(input, exponent) {
+  switch (input.format) {
+    case 'csv':
+      if (!input.mapping) throw new Error('CSV imports need a column mapping');
+      return parseCsv(input.content, input.mapping, exponent);
+    case 'ofx':
+      return parseOfx(input.content, exponent);
+    default:
+      return parseQif(input.content, input.dateFormat, exponent);
+  }
+}
+
+function normalizePayee(payee) {
+  return (payee ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function samePayee(a, b) {
+  const left = normalizePayee(a);
+  const right = normalizePayee(b);
+  if (!left || !right) return left === right;
+  return left.includes(right) || right.includes(left);
+}
+
+/**
+ * Pairs each imported row with at most one existing transaction on the same day, for the same
+ * amount in the account's currency and a matching payee.
+ */
+function markDuplicates(rows, existing) {
+  const unmatched = [...existing];
+  return rows.map((row) => {
+    const index = unmatched.findIndex((candidate) =>
+      candidate.date.toISOString().slice(0, 10) === row.date.slice(0, 10)
+      && Number(candidate.originalAmount ?? candidate.amount) === row.amount
+      && samePayee(candidate.payee, row.payee));
+    if (index === -1) return { ...row, duplicateOf: null };
+
+    const [match] = unmatched.splice(index, 1);
+    return { ...row, duplicateOf: match.id };
+  });
+}
+
+export function createImportsHandler() {
+  return {
+    async preview(budgetId, payload) {
+      const input = previewSchema.parse(payload);
+      const account = await prisma.account.findFirst({ where: { id: input.accountId, budgetId } });
+      if (!account) return { status: 404, body: { error: 'Account not found' } };
+
+      let rows;
+      try {
+        rows = parseStatement(input, currencyExponent(account.currency));
+      } catch (error) {
+        return { status: 400, body: { error: error.message } };
+      }
+      if (rows.length === 0) return { status: 200, body: { accountId: account.id, transactions: [] } };
+
+      const dates = rows.map((row) => new Date(row.date).getTime());
+      const existing = await prisma.transaction.findMany({
+        where: {
+          accountId: account.id,
+          account: { budgetId },
+          date: { gte: new Date(Math.min(...dates)), lt: new Date(Math.max(...dates) + DAY_MS) }
+        }
+      });
+
+      return { status: 200, body: { accountId: account.id, transactions: markDuplicates(rows, existing) } };
+    },
+
+    async commit(budgetId, payload) {
+      const input = commitSchema.parse(payload);
+
+      // Any failure rolls back the whole import rather than leaving it half applied.
+      const fail = (index, result) => {
+        throw new Rollback({
+          status: result.status,
+          body: { ...result.body, error: `Row ${index} failed: ${result.body.error}`, index }
+        });
+      };
+
+      return transactionOrRollback(async (tx) => {
+        const account = await tx.account.findFirst({ where: { id: input.accountId, budgetId } });
+        if (!account) return { status: 404, body: { error: 'Account not found' } };
+        const { currency } = await tx.budget.findUnique({ where: { id: budgetId }, select: { currency: true } });
+
+        const created = [];
+        const matched = [];
+        for (const [index, row] of input.transactions.entries()) {
+          if (row.duplicateOf) {
+            const duplicate = await tx.transaction.findFirst({ where: { id: row.duplicateOf, account: { budgetId } } });
+            if (!duplicate || duplicate.accountId !== account.id) fail(index, { status: 404, body: { error: 'Transaction not found' } });
+            const cleared = await tx.transaction.update({ where: { id: duplicate.id }, data: { cleared: true, version: null } });
+            await recordEvent(tx, budgetId, 'transaction.updated', cleared, { before: duplicate });
+            matched.push(cleared);
+            continue;
+          }
+
+          const posted = await createTransaction(tx, budgetId, {
+            accountId: account.id,
+            categoryId: row.categoryId,
+            date: row.date,
+            payee: row.payee,
+            ...(account.currency === currency
+              ? { amount: row.amount }
+              : { originalAmount: row.amount, exchangeRate: row.exchangeRate ?? input.exchangeRate }),
+            memo: row.memo,
+            cleared: true
+          }).catch(failedResult);
+          if (posted.status !== 201) fail(index, posted);
+          created.push(posted.body);
+        }
+
+        return { status: 201, body: { created, matched } };
+      });
+    }
+  };
+}
+
+/**
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/imports/preview -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"accountId":"<accountId>","format":"csv","content":"Date,Description,Amount\n2026-01-03,Coffee,-4.50","mapping":{"date":"Date","payee":"Description","amount":"Amount"}}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/imports/commit -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"accountId":"<accountId>","transactions":[{"date":"2026-01-03T00:00:00.000Z","payee":"Coffee","amount":450}]}'
+ */
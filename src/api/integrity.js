@@ -0,0 +1,133 @@
+import { prisma } from '../db.js';
+import { rolloverMonth } from '../budget-engine.js';
+import { recordEvent } from '../events.js';
+import { spendByCategory, transactionIncome, transactionLines } from './transactions.js';
+import { monthOf } from '../utils/validation.js';
+
+const add = (totals, key, amount) => totals.set(key, (totals.get(key) ?? 0) + amount);
+
+/**
+ * Replays the ledger the way the transaction bookkeeping applies it: account balances and category
+ * spending from raw transactions, then every budget month's rollover in order.
+ */
+function expectedLedger(accounts, months, transactions) {
+  const creditAccounts = new Set(accounts.filter((account) => account.type === 'credit').map((account) => account.id));
+  const categories = months.flatMap((month) => month.categories.map((category) => ({
+    ...category,
+    month: month.month,
+    paymentAccountId: category.masterCategory.paymentAccountId
+  })));
+  const categoryById = new Map(categories.map((category) => [category.id, category]));
+  const paymentCategory = (accountId, month) => categories.find((category) =>
+    category.paymentAccountId === accountId && category.month.getTime() === month.getTime());
+
+  const balances = new Map(accounts.map((account) => [account.id, 0]));
+  const spent = new Map(categories.map((category) => [category.id, 0]));
+  const income = new Map();
+
+  for (const transaction of transactions) {
+    const amount = Number(transaction.amount);
+    add(balances, transaction.accountId, -amount);
+    add(income, monthOf(transaction.date).getTime(), transactionIncome(transaction));
+
+    const isCredit = creditAccounts.has(transaction.accountId);
+    if (transaction.transferAccountId) {
+      const payment = isCredit && paymentCategory(transaction.accountId, monthOf(transaction.date));
+      if (payment) add(spent, payment.id, -amount);
+      continue;
+    }
+
+    for (const [categoryId, spend] of spendByCategory(transactionLines(transaction))) {
+      add(spent, categoryId, spend);
+      const month = categoryById.get(categoryId)?.month;
+      const payment = isCredit && month && paymentCategory(transaction.accountId, month);
+      if (payment) add(spent, payment.id, -spend);
+    }
+  }
+
+  const carryovers = new Map();
+  const monthTotals = new Map();
+  let previous = null;
+  for (const month of months) {
+    const carried = new Map(previous?.categories.map((category) => [category.masterCategoryId, category.carryover]));
+    const monthCategories = month.categories.map((category) => ({
+      ...category,
+      carryover: carried.get(category.masterCategoryId) ?? 0,
+      spent: spent.get(category.id)
+    }));
+    monthCategories.forEach((category) => carryovers.set(category.id, category.carryover));
+
+    const carryoverFromPrev = previous?.carryoverFromPrev ?? 0;
+    const assigned = month.categories.reduce((sum, category) => sum + Number(category.assigned), 0);
+    const ready = carryoverFromPrev + (income.get(month.month.getTime()) ?? 0) - assigned;
+    // Every month keeps its Ready to Assign, carried in from the month before plus its own activity.
+    monthTotals.set(month.id, { carryoverFromPrev, availableToBudget: ready });
+
+    previous = rolloverMonth({ availableToBudget: ready, categories: monthCategories });
+  }
+
+  return { balances, spent, carryovers, monthTotals };
+}
+
+function compare(discrepancies, model, id, field, stored, expected) {
+  if (Number(stored) === expected) return;
+  discrepancies.push({ model, id, field, stored: Number(stored), expected });
+}
+
+/**
+ * Lists every stored balance that differs from the value recomputed from the budget's transactions.
+ */
+async function findDiscrepancies(db, budgetId) {
+  const [accounts, months, transactions] = await Promise.all([
+    db.account.findMany({ where: { budgetId } }),
+    db.budgetMonth.findMany({ where: { budgetId }, orderBy: { month: 'asc' }, include: { categories: { include: { masterCategory: true } } } }),
+    db.transaction.findMany({ where: { account: { budgetId } }, include: { splits: true } })
+  ]);
+  const expected = expectedLedger(accounts, months, transactions);
+
+  const discrepancies = [];
+  for (const account of accounts) {
+    compare(discrepancies, 'account', account.id, 'balance', account.balance, expected.balances.get(account.id));
+  }
+  for (const month of months) {
+    const totals = expected.monthTotals.get(month.id);
+    compare(discrepancies, 'budgetMonth', month.id, 'carryoverFromPrev', month.carryoverFromPrev, totals.carryoverFromPrev);
+    compare(discrepancies, 'budgetMonth', month.id, 'availableToBudget', month.availableToBudget, totals.availableToBudget);
+    for (const category of month.categories) {
+      compare(discrepancies, 'category', category.id, 'carryover', category.carryover, expected.carryovers.get(category.id));
+      compare(discrepancies, 'category', category.id, 'spent', category.spent, expected.spent.get(category.id));
+    }
+  }
+
+  return discrepancies;
+}
+
+export function createIntegrityHandler() {
+  return {
+    async report(budgetId) {
+      const discrepancies = await findDiscrepancies(prisma, budgetId);
+      return { status: 200, body: { consistent: discrepancies.length === 0, discrepancies } };
+    },
+
+    async repair(budgetId) {
+      const repaired = await prisma.$transaction(async (tx) => {
+        const discrepancies = await findDiscrepancies(tx, budgetId);
+        for (const discrepancy of discrepancies) {
+          await tx[discrepancy.model].update({
+            where: { id: discrepancy.id },
+            data: { [discrepancy.field]: discrepancy.expected, version: null }
+          });
+        }
+        if (discrepancies.length) await recordEvent(tx, budgetId, 'budget.repaired', { repaired: discrepancies });
+        return discrepancies;
+      });
+
+      return { status: 200, body: { repaired } };
+    }
+  };
+}
+
+/**
+ * curl -X GET http://localhost:3000/api/budgets/<budgetId>/integrity -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/integrity/repair -H "Authorization: Bearer <token>"
+ */
@@ -0,0 +1,226 @@
+import { z } from 'zod';
+import { prisma } from '../db.js';
+import { ensureMonthCategory, openBudgetMonth } from '../budget-engine.js';
+import { recordEvent } from '../events.js';
+import { minorAmountSchema, monthOf } from '../utils/validation.js';
+
+const payeePatchSchema = z.object({
+  name: z.string().trim().min(1).optional(),
+  defaultMasterCategoryId: z.string().min(1).nullable().optional()
+});
+
+const mergeSchema = z.object({
+  intoPayeeId: z.string().min(1)
+});
+
+/**
+ * How a rule compares its match value with the payee. Patterns are plain text: a regular expression
+ * cannot be checked for catastrophic backtracking before it runs against every new payee.
+ */
+const MATCHERS = {
+  contains: (payee, value) => payee.includes(value),
+  startsWith: (payee, value) => payee.startsWith(value)
+};
+
+export const MATCH_TYPES = Object.keys(MATCHERS);
+
+const ruleSchema = z.object({
+  priority: z.number().int().min(0).optional(),
+  matchType: z.enum(MATCH_TYPES),
+  matchValue: z.string().min(1),
+  amountMin: minorAmountSchema.optional().nullable(),
+  amountMax: minorAmountSchema.optional().nullable(),
+  payee: z.string().trim().min(1).optional(),
+  masterCategoryId: z.string().min(1).optional(),
+  memo: z.string().min(1).optional()
+}).refine((rule) => rule.payee || rule.masterCategoryId || rule.memo, {
+  message: 'A rule must set a payee, category or memo'
+});
+
+// Rules run against every new transaction's payee, so patterns are kept short.
+const MAX_MATCH_LENGTH = 200;
+
+/**
+ * The reason a rule cannot be saved, or null. Restored backups are held to the same rules.
+ */
+export function ruleError(rule) {
+  if (rule.matchValue.length > MAX_MATCH_LENGTH) return `matchValue must be at most ${MAX_MATCH_LENGTH} characters`;
+  if (rule.amountMin != null && rule.amountMax != null && rule.amountMin > rule.amountMax) {
+    return 'amountMin must be <= amountMax';
+  }
+  return null;
+}
+
+/**
+ * Matchers are case-insensitive and look at the payee text as the bank or user supplied it. Rules
+ * saved with the retired `regex` match type never match.
+ */
+export function ruleMatches(rule, transaction) {
+  const matches = MATCHERS[rule.matchType];
+  if (!matches?.((transaction.payee ?? '').toLowerCase(), rule.matchValue.toLowerCase())) return false;
+
+  const amount = Number(transaction.amount);
+  if (rule.amountMin != null && amount < Number(rule.amountMin)) return false;
+  if (rule.amountMax != null && amount > Number(rule.amountMax)) return false;
+  return true;
+}
+
+async function findMaster(tx, budgetId, masterCategoryId) {
+  if (!masterCategoryId) return null;
+  const master = await tx.masterCategory.findFirst({ where: { id: masterCategoryId, budgetId } });
+  if (!master) throw new Error('Category not found');
+  return master;
+}
+
+/**
+ * Returns the budget's payee called `name`, creating it on first use.
+ */
+export async function linkPayee(tx, budgetId, name) {
+  if (!name) return null;
+  return tx.payee.upsert({
+    where: { budgetId_name: { budgetId, name } },
+    create: { budgetId, name },
+    update: {}
+  });
+}
+
+/**
+ * Rewrites a new transaction with the first matching rule, links its payee and fills in the
+ * payee's remembered category when the caller left the category out of an outflow. Categorizing a transaction
+ * by hand updates what the payee remembers.
+ */
+export async function applyPayeeRules(tx, budgetId, input) {
+  if (input.transferAccountId) return input;
+
+  const next = { ...input };
+  const rules = await tx.payeeRule.findMany({
+    where: { budgetId },
+    orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }]
+  });
+  const rule = rules.find((candidate) => ruleMatches(candidate, input));
+  if (rule?.payeeId) next.payee = (await tx.payee.findFirst({ where: { id: rule.payeeId, budgetId } })).name;
+  if (rule?.memo && !next.memo) next.memo = rule.memo;
+
+  const payee = await linkPayee(tx, budgetId, next.payee);
+  next.payeeId = payee?.id ?? null;
+  if (next.splits) return next;
+
+  // Only outflows take a remembered category: a deposit from the same payee stays income.
+  if (next.categoryId === undefined && next.amount > 0) {
+    const masterCategoryId = rule?.masterCategoryId ?? payee?.defaultMasterCategoryId;
+    if (masterCategoryId) {
+      const budget = await openBudgetMonth(tx, budgetId, monthOf(next.date));
+      next.categoryId = (await ensureMonthCategory(tx, budget.id, masterCategoryId)).id;
+    }
+  } else if (next.categoryId && payee) {
+    const category = await tx.category.findFirst({ where: { id: next.categoryId, budgetMonth: { budgetId } } });
+    if (category) {
+      await tx.payee.update({ where: { id: payee.id }, data: { defaultMasterCategoryId: category.masterCategoryId } });
+    }
+  }
+
+  return next;
+}
+
+export function createPayeesHandler() {
+  return {
+    async list(budgetId) {
+      const payees = await prisma.payee.findMany({ where: { budgetId }, orderBy: { name: 'asc' } });
+      return { status: 200, body: payees };
+    },
+
+    async patch(budgetId, payeeId, payload) {
+      const input = payeePatchSchema.parse(payload);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const payee = await tx.payee.findFirst({ where: { id: payeeId, budgetId } });
+        if (!payee) return { status: 404, body: { error: 'Payee not found' } };
+        await findMaster(tx, budgetId, input.defaultMasterCategoryId);
+
+        if (input.name && input.name !== payee.name) {
+          const existing = await tx.payee.findFirst({ where: { budgetId, name: input.name } });
+          if (existing) return { status: 409, body: { error: 'A payee with that name exists; merge them instead' } };
+          await tx.transaction.updateMany({ where: { payeeId: payee.id }, data: { payee: input.name, version: null } });
+        }
+
+        const updated = await tx.payee.update({ where: { id: payee.id }, data: input });
+        await recordEvent(tx, budgetId, 'payee.updated', updated, { before: payee });
+        return { status: 200, body: updated };
+      });
+
+      return result;
+    },
+
+    async merge(budgetId, payeeId, payload) {
+      const input = mergeSchema.parse(payload);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const payee = await tx.payee.findFirst({ where: { id: payeeId, budgetId } });
+        const target = await tx.payee.findFirst({ where: { id: input.intoPayeeId, budgetId } });
+        if (!payee || !target) return { status: 404, body: { error: 'Payee not found' } };
+        if (payee.id === target.id) return { status: 400, body: { error: 'Cannot merge a payee into itself' } };
+
+        await tx.transaction.updateMany({ where: { payeeId: payee.id }, data: { payeeId: target.id, payee: target.name, version: null } });
+        await tx.payeeRule.updateMany({ where: { payeeId: payee.id }, data: { payeeId: target.id } });
+        if (!target.defaultMasterCategoryId && payee.defaultMasterCategoryId) {
+          await tx.payee.update({ where: { id: target.id }, data: { defaultMasterCategoryId: payee.defaultMasterCategoryId } });
+        }
+        await tx.payee.delete({ where: { id: payee.id } });
+
+        const merged = await tx.payee.findFirst({ where: { id: target.id, budgetId } });
+        await recordEvent(tx, budgetId, 'payee.merged', { mergedPayeeId: payee.id, payee: merged }, { entityId: payee.id, before: payee });
+        return { status: 200, body: merged };
+      });
+
+      return result;
+    },
+
+    async listRules(budgetId) {
+      const rules = await prisma.payeeRule.findMany({
+        where: { budgetId },
+        orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }]
+      });
+      return { status: 200, body: rules };
+    },
+
+    async createRule(budgetId, payload) {
+      const input = ruleSchema.parse(payload);
+      const error = ruleError(input);
+      if (error) return { status: 400, body: { error } };
+
+      const result = await prisma.$transaction(async (tx) => {
+        const { payee: payeeName, ...rule } = input;
+        await findMaster(tx, budgetId, rule.masterCategoryId);
+        const payee = await linkPayee(tx, budgetId, payeeName);
+
+        const created = await tx.payeeRule.create({
+          data: { budgetId, ...rule, payeeId: payee?.id ?? null }
+        });
+        await recordEvent(tx, budgetId, 'payeeRule.created', created);
+        return { status: 201, body: created };
+      });
+
+      return result;
+    },
+
+    async removeRule(budgetId, ruleId) {
+      const result = await prisma.$transaction(async (tx) => {
+        const rule = await tx.payeeRule.findFirst({ where: { id: ruleId, budgetId } });
+        if (!rule) return { status: 404, body: { error: 'Payee rule not found' } };
+
+        await tx.payeeRule.delete({ where: { id: rule.id } });
+        await recordEvent(tx, budgetId, 'payeeRule.deleted', { id: rule.id }, { before: rule });
+        return { status: 200, body: { success: true } };
+      });
+
+      return result;
+    }
+  };
+}
+
+/**
+ * curl -X GET http://localhost:3000/api/budgets/<budgetId>/payees -H "Authorization: Bearer <token>"
+ * curl -X PATCH http://localhost:3000/api/budgets/<budgetId>/payees/<payeeId> -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Amazon","defaultMasterCategoryId":"<masterCategoryId>"}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/payees/<payeeId>/merge -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"intoPayeeId":"<payeeId>"}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/payee-rules -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"matchType":"regex","matchValue":"^amazon|amzn","payee":"Amazon","masterCategoryId":"<masterCategoryId>"}'
+ */
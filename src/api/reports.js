@@ -0,0 +1,207 @@
+import { z } from 'zod';
+import { prisma } from '../db.js';
+import { incomeAmount } from '../budget-engine.js';
+import { transactionLines } from './transactions.js';
+import { isoDateSchema, monthOf } from '../utils/validation.js';
+
+const rangeFields = {
+  from: isoDateSchema.optional(),
+  to: isoDateSchema.optional()
+};
+
+const orderedRange = [
+  (range) => !range.from || !range.to || new Date(range.from) <= new Date(range.to),
+  { message: 'from must be on or before to', path: ['from'] }
+];
+
+const rangeSchema = z.object(rangeFields).refine(...orderedRange);
+
+const spendingSchema = z.object({
+  ...rangeFields,
+  groupBy: z.enum(['category', 'payee']).default('category')
+}).refine(...orderedRange);
+
+const averagesSchema = z.object({
+  months: z.coerce.number().int().min(1).max(24).default(3)
+});
+
+const monthKey = (date) => date.toISOString().slice(0, 7);
+
+const addMonths = (month, count) => new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + count, 1));
+
+const sumOf = (group, field = 'amount') => Number(group._sum[field] ?? 0);
+
+/**
+ * Resolves a report range; without bounds it covers the twelve months up to today.
+ */
+function dateRange(input, defaultMonths = 12) {
+  const to = input.to ? new Date(input.to) : new Date();
+  const from = input.from ? new Date(input.from) : addMonths(monthOf(to), 1 - defaultMonths);
+  return { from, to };
+}
+
+function monthsBetween(from, to) {
+  const months = [];
+  for (let month = monthOf(from); month <= to; month = addMonths(month, 1)) months.push(month);
+  return months;
+}
+
+// Spending follows the budget's rule: categorized outflows, whether booked on the transaction or its splits.
+const spendingWhere = (budgetId, { from, to }) => ({
+  account: { budgetId },
+  date: { gte: from, lte: to },
+  transferAccountId: null,
+  amount: { gt: 0 },
+  OR: [{ categoryId: { not: null } }, { splits: { some: {} } }]
+});
+
+async function spendingByCategory(budgetId, range) {
+  const [direct, splits] = await prisma.$transaction([
+    prisma.transaction.groupBy({
+      by: ['categoryId'],
+      where: { account: { budgetId }, date: { gte: range.from, lte: range.to }, categoryId: { not: null }, amount: { gt: 0 } },
+      _sum: { amount: true }
+    }),
+    prisma.transactionSplit.groupBy({
+      by: ['categoryId'],
+      where: { transaction: { account: { budgetId }, date: { gte: range.from, lte: range.to } }, categoryId: { not: null }, amount: { gt: 0 } },
+      _sum: { amount: true }
+    })
+  ]);
+
+  // Transactions point at month rows, so totals are folded onto their master categories.
+  const groups = [...direct, ...splits];
+  const rows = await prisma.category.findMany({
+    where: { id: { in: groups.map((group) => group.categoryId) } },
+    include: { masterCategory: { include: { group: true } } }
+  });
+  const totals = new Map();
+  for (const group of groups) {
+    const { masterCategory } = rows.find((row) => row.id === group.categoryId);
+    const entry = totals.get(masterCategory.id) ?? {
+      masterCategoryId: masterCategory.id,
+      name: masterCategory.name,
+      group: masterCategory.group.name,
+      amount: 0
+    };
+    entry.amount += sumOf(group);
+    totals.set(masterCategory.id, entry);
+  }
+  return [...totals.values()];
+}
+
+async function spendingByPayee(budgetId, range) {
+  const groups = await prisma.transaction.groupBy({
+    by: ['payee'],
+    where: spendingWhere(budgetId, range),
+    _sum: { amount: true }
+  });
+  return groups.map((group) => ({ payee: group.payee, amount: sumOf(group) }));
+}
+
+export function createReportsHandler() {
+  return {
+    async spending(budgetId, query) {
+      const input = spendingSchema.parse(query ?? {});
+      const range = dateRange(input, 1);
+      const items = input.groupBy === 'payee'
+        ? await spendingByPayee(budgetId, range)
+        : await spendingByCategory(budgetId, range);
+
+      items.sort((a, b) => b.amount - a.amount);
+      const total = items.reduce((sum, item) => sum + item.amount, 0);
+      return { status: 200, body: { ...range, groupBy: input.groupBy, total, items } };
+    },
+
+    async incomeVsExpense(budgetId, query) {
+      const range = dateRange(rangeSchema.parse(query ?? {}));
+      // Income follows the budget rule line by line and expense counts the categorized outflow lines
+      // spendingByCategory does, so a split's uncategorized or returned lines are not spending.
+      const transactions = await prisma.transaction.findMany({
+        where: { account: { budgetId }, date: { gte: range.from, lte: range.to }, transferAccountId: null },
+        select: { date: true, amount: true, categoryId: true, splits: { select: { categoryId: true, amount: true } } }
+      });
+
+      const months = new Map(monthsBetween(range.from, range.to).map((month) => [monthKey(month), { income: 0, expense: 0 }]));
+      for (const transaction of transactions) {
+        const entry = months.get(monthKey(transaction.date));
+        for (const line of transactionLines(transaction)) {
+          const amount = Number(line.amount);
+          entry.income += incomeAmount(line.categoryId, amount);
+          if (line.categoryId && amount > 0) entry.expense += amount;
+        }
+      }
+
+      const body = [...months].map(([month, totals]) => ({ month, ...totals, net: totals.income - totals.expense }));
+      return { status: 200, body };
+    },
+
+    async netWorth(budgetId, query) {
+      const range = dateRange(rangeSchema.parse(query ?? {}));
+      const months = monthsBetween(range.from, range.to);
+      if (months.length === 0) return { status: 200, body: [] };
+
+      const [accounts, later] = await prisma.$transaction([
+        prisma.account.findMany({ where: { budgetId } }),
+        prisma.transaction.findMany({
+          where: { account: { budgetId }, date: { gte: addMonths(months[0], 1) } },
+          select: { accountId: true, date: true, amount: true }
+        })
+      ]);
+
+      // Walks back from today's balances: each month-end balance adds back the outflows that came after it.
+      const body = months.map((month) => {
+        const end = addMonths(month, 1);
+        let assets = 0;
+        let liabilities = 0;
+        for (const account of accounts) {
+          const after = later
+            .filter((transaction) => transaction.accountId === account.id && transaction.date >= end)
+            .reduce((sum, transaction) => sum + Number(transaction.amount), 0);
+          const balance = Number(account.balance) + after;
+          if (balance >= 0) assets += balance;
+          else liabilities -= balance;
+        }
+        return { month: monthKey(month), assets, liabilities, netWorth: assets - liabilities };
+      });
+      return { status: 200, body };
+    },
+
+    async categoryAverages(budgetId, query) {
+      const input = averagesSchema.parse(query ?? {});
+      const current = monthOf(new Date());
+      const from = addMonths(current, -input.months);
+
+      const groups = await prisma.category.groupBy({
+        by: ['masterCategoryId'],
+        where: { budgetMonth: { budgetId, month: { gte: from, lt: current } }, masterCategory: { paymentAccountId: null } },
+        _sum: { spent: true }
+      });
+      const masters = await prisma.masterCategory.findMany({
+        where: { id: { in: groups.map((group) => group.masterCategoryId) } },
+        include: { group: true }
+      });
+
+      const items = groups
+        .map((group) => {
+          const master = masters.find((candidate) => candidate.id === group.masterCategoryId);
+          return {
+            masterCategoryId: master.id,
+            name: master.name,
+            group: master.group.name,
+            total: sumOf(group, 'spent'),
+            average: Math.round(sumOf(group, 'spent') / input.months)
+          };
+        })
+        .sort((a, b) => b.average - a.average);
+      return { status: 200, body: { from, to: current, months: input.months, items } };
+    }
+  };
+}
+
+/**
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/reports/spending?groupBy=payee&from=2026-01-01T00:00:00.000Z&to=2026-03-31T23:59:59.000Z" -H "Authorization: Bearer <token>"
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/reports/income-expense" -H "Authorization: Bearer <token>"
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/reports/net-worth?from=2026-01-01T00:00:00.000Z" -H "Authorization: Bearer <token>"
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/reports/category-averages?months=6" -H "Authorization: Bearer <token>"
+ */
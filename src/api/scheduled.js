@@ -0,0 +1,258 @@
+import { z } from 'zod';
+import { prisma, Rollback, transactionOrRollback } from '../db.js';
+import { recordEvent } from '../events.js';
+import { failedResult } from '../errors.js';
+import { createTransaction, resolveAmounts, transferError } from './transactions.js';
+import { exchangeRateSchema, isoDateSchema, minorAmountSchema } from '../utils/validation.js';
+import { FREQUENCIES, occurrenceOnOrAfter, occurrencesBetween } from '../utils/schedule.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const scheduleSchema = z.object({
+  accountId: z.string().min(1),
+  categoryId: z.string().optional().nullable(),
+  transferAccountId: z.string().min(1).optional().nullable(),
+  payee: z.string().optional().nullable(),
+  // Schedules on foreign-currency accounts post originalAmount at exchangeRate instead of amount.
+  amount: minorAmountSchema.optional().nullable(),
+  originalAmount: minorAmountSchema.optional().nullable(),
+  exchangeRate: exchangeRateSchema.optional().nullable(),
+  memo: z.string().optional().nullable(),
+  frequency: z.enum(FREQUENCIES),
+  intervalDays: z.number().int().positive().optional().nullable(),
+  startDate: isoDateSchema,
+  endDate: isoDateSchema.optional().nullable()
+});
+
+const schedulePatchSchema = scheduleSchema.partial();
+
+const upcomingSchema = z.object({
+  days: z.coerce.number().int().min(1).max(366).default(30)
+});
+
+const materializeSchema = z.object({
+  asOf: isoDateSchema.optional()
+});
+
+function scheduleError(schedule) {
+  if (schedule.amount == null && schedule.originalAmount == null) return 'amount or originalAmount is required';
+  if (schedule.frequency === 'everyNDays' && !schedule.intervalDays) return 'intervalDays is required for everyNDays schedules';
+  if (schedule.endDate && new Date(schedule.endDate) < new Date(schedule.startDate)) return 'endDate must be on or after startDate';
+  return null;
+}
+
+/**
+ * Checks a schedule against the rules its occurrences are posted under, so a schedule that could
+ * never post is refused when it is saved rather than every time it comes due.
+ */
+async function scheduleRulesError(tx, budgetId, schedule) {
+  const account = await tx.account.findFirst({ where: { id: schedule.accountId, budgetId } });
+  if (!account) return { status: 404, body: { error: 'Account not found' } };
+
+  if (schedule.transferAccountId) {
+    const target = await tx.account.findFirst({ where: { id: schedule.transferAccountId, budgetId } });
+    const refused = transferError(schedule, account, target);
+    if (refused) return refused;
+  } else if (schedule.categoryId) {
+    const category = await tx.category.findFirst({ where: { id: schedule.categoryId, budgetMonth: { budgetId } } });
+    if (!category) return { status: 404, body: { error: 'Category not found' } };
+  }
+
+  const { error } = await resolveAmounts(tx, budgetId, account, {
+    amount: schedule.amount ?? undefined,
+    originalAmount: schedule.originalAmount ?? undefined,
+    exchangeRate: schedule.exchangeRate ?? undefined
+  });
+  return error ? { status: 400, body: { error } } : null;
+}
+
+function upcomingOccurrences(schedules, from, to) {
+  const occurrences = [];
+  for (const schedule of schedules) {
+    if (!schedule.nextDate) continue;
+    const start = schedule.nextDate > from ? schedule.nextDate : from;
+    for (const date of occurrencesBetween(schedule, start, to)) {
+      occurrences.push({
+        scheduledTransactionId: schedule.id,
+        date,
+        accountId: schedule.accountId,
+        categoryId: schedule.categoryId,
+        transferAccountId: schedule.transferAccountId,
+        payee: schedule.payee,
+        amount: schedule.amount,
+        originalAmount: schedule.originalAmount,
+        exchangeRate: schedule.exchangeRate,
+        memo: schedule.memo
+      });
+    }
+  }
+  return occurrences.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Posts one occurrence through the transaction bookkeeping, answering with the response a failed
+ * posting would have given instead of throwing.
+ */
+async function postOccurrence(tx, budgetId, schedule, date) {
+  try {
+    return await createTransaction(tx, budgetId, {
+      accountId: schedule.accountId,
+      categoryId: schedule.categoryId,
+      ...(schedule.transferAccountId ? { transferAccountId: schedule.transferAccountId } : {}),
+      date: date.toISOString(),
+      payee: schedule.payee,
+      ...(schedule.originalAmount == null
+        ? { amount: Number(schedule.amount) }
+        : { originalAmount: Number(schedule.originalAmount), exchangeRate: String(schedule.exchangeRate) }),
+      memo: schedule.memo
+    });
+  } catch (error) {
+    return failedResult(error);
+  }
+}
+
+/**
+ * Posts every occurrence of `schedule` due on or before `asOf` and advances its next date. Stops at
+ * the first occurrence that fails and returns it as `failed`.
+ */
+async function postDueOccurrences(tx, budgetId, scheduleId, asOf) {
+  const schedule = await tx.scheduledTransaction.findFirst({ where: { id: scheduleId, budgetId } });
+  if (!schedule?.nextDate || schedule.nextDate > asOf) return { posted: [] };
+
+  // Claim the due occurrences before posting them: a concurrent run that read the same next date
+  // then matches nothing and posts nothing.
+  const due = schedule.nextDate;
+  const nextDate = occurrenceOnOrAfter(schedule, new Date(asOf.getTime() + 1));
+  const claimed = await tx.scheduledTransaction.updateMany({ where: { id: schedule.id, nextDate: due }, data: { nextDate } });
+  if (claimed.count === 0) return { posted: [] };
+
+  const posted = [];
+  for (let date = due; date && date <= asOf; date = occurrenceOnOrAfter(schedule, new Date(date.getTime() + 1))) {
+    const result = await postOccurrence(tx, budgetId, schedule, date);
+    if (result.status !== 201) return { posted, failed: { date, ...result } };
+    posted.push(result.body);
+  }
+
+  await recordEvent(tx, budgetId, 'scheduledTransaction.updated', { ...schedule, nextDate }, { before: schedule });
+  return { posted };
+}
+
+export function createScheduledHandler() {
+  return {
+    async list(budgetId) {
+      const schedules = await prisma.scheduledTransaction.findMany({ where: { budgetId }, orderBy: { nextDate: 'asc' } });
+      return { status: 200, body: schedules };
+    },
+
+    async create(budgetId, payload) {
+      const input = scheduleSchema.parse(payload);
+      const error = scheduleError(input);
+      if (error) return { status: 400, body: { error } };
+
+      const result = await prisma.$transaction(async (tx) => {
+        const refused = await scheduleRulesError(tx, budgetId, input);
+        if (refused) return refused;
+
+        const created = await tx.scheduledTransaction.create({
+          data: {
+            budgetId,
+            ...input,
+            startDate: new Date(input.startDate),
+            endDate: input.endDate ? new Date(input.endDate) : null,
+            nextDate: occurrenceOnOrAfter(input, input.startDate)
+          }
+        });
+        await recordEvent(tx, budgetId, 'scheduledTransaction.created', created);
+        return { status: 201, body: created };
+      });
+
+      return result;
+    },
+
+    async patch(budgetId, scheduleId, payload) {
+      const input = schedulePatchSchema.parse(payload);
+
+      const result = await prisma.$transaction(async (tx) => {
+        const existing = await tx.scheduledTransaction.findFirst({ where: { id: scheduleId, budgetId } });
+        if (!existing) return { status: 404, body: { error: 'Scheduled transaction not found' } };
+
+        const next = {
+          ...existing,
+          ...input,
+          startDate: input.startDate ? new Date(input.startDate) : existing.startDate,
+          endDate: input.endDate === undefined ? existing.endDate : input.endDate && new Date(input.endDate)
+        };
+        const error = scheduleError(next);
+        if (error) return { status: 400, body: { error } };
+
+        const refused = await scheduleRulesError(tx, budgetId, next);
+        if (refused) return refused;
+
+        // Timing changes keep any pending occurrence but re-align it to the new cadence.
+        const nextDate = occurrenceOnOrAfter(next, existing.nextDate ?? new Date());
+        const updated = await tx.scheduledTransaction.update({
+          where: { id: scheduleId },
+          data: { ...input, startDate: next.startDate, endDate: next.endDate, nextDate }
+        });
+        await recordEvent(tx, budgetId, 'scheduledTransaction.updated', updated, { before: existing });
+        return { status: 200, body: updated };
+      });
+
+      return result;
+    },
+
+    async remove(budgetId, scheduleId) {
+      const result = await prisma.$transaction(async (tx) => {
+        const existing = await tx.scheduledTransaction.findFirst({ where: { id: scheduleId, budgetId } });
+        if (!existing) return { status: 404, body: { error: 'Scheduled transaction not found' } };
+
+        await tx.scheduledTransaction.delete({ where: { id: scheduleId } });
+        await recordEvent(tx, budgetId, 'scheduledTransaction.deleted', { id: scheduleId }, { before: existing });
+        return { status: 200, body: { success: true } };
+      });
+
+      return result;
+    },
+
+    async upcoming(budgetId, query) {
+      const input = upcomingSchema.parse(query ?? {});
+      const from = new Date();
+      const schedules = await prisma.scheduledTransaction.findMany({ where: { budgetId, nextDate: { not: null } } });
+      return { status: 200, body: upcomingOccurrences(schedules, from, new Date(from.getTime() + input.days * DAY_MS)) };
+    },
+
+    /**
+     * Posts every due occurrence, reporting per schedule; a schedule that fails posts nothing and
+     * stays due.
+     */
+    async materialize(budgetId, payload) {
+      const input = materializeSchema.parse(payload ?? {});
+      const asOf = input.asOf ? new Date(input.asOf) : new Date();
+
+      const due = await prisma.scheduledTransaction.findMany({ where: { budgetId, nextDate: { lte: asOf } } });
+      const results = [];
+      for (const schedule of due) {
+        // One Prisma transaction per schedule: an occurrence is never posted without advancing nextDate,
+        // and a schedule that fails leaves the others posted.
+        results.push(await transactionOrRollback(async (tx) => {
+          const { posted, failed } = await postDueOccurrences(tx, budgetId, schedule.id, asOf);
+          if (failed) {
+            throw new Rollback({ scheduledTransactionId: schedule.id, status: failed.status, date: failed.date, error: failed.body.error });
+          }
+          return { scheduledTransactionId: schedule.id, status: 200, posted };
+        }));
+      }
+
+      const schedules = await prisma.scheduledTransaction.findMany({ where: { budgetId, nextDate: { not: null } } });
+      const upcoming = upcomingOccurrences(schedules, asOf, new Date(asOf.getTime() + 30 * DAY_MS));
+      const posted = results.flatMap((result) => result.posted ?? []);
+      return { status: 200, body: { results, posted, upcoming } };
+    }
+  };
+}
+
+/**
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/scheduled-transactions -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"accountId":"<accountId>","categoryId":"<categoryId>","payee":"Landlord","amount":120000,"frequency":"monthly","startDate":"2026-01-01T00:00:00.000Z"}'
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/scheduled-transactions/upcoming?days=30" -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/scheduled-transactions/materialize -H "Authorization: Bearer <token>"
+ */
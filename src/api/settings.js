@@ -0,0 +1,35 @@
+import { z } from 'zod';
+import { prisma } from '../db.js';
+import { recordEvent } from '../events.js';
+
+const settingsPatchSchema = z.object({
+  strictOverspending: z.boolean().optional()
+});
+
+const settingsSelect = { strictOverspending: true };
+
+export function createSettingsHandler() {
+  return {
+    async get(budgetId) {
+      const settings = await prisma.budget.findUnique({ where: { id: budgetId }, select: settingsSelect });
+      if (!settings) return { status: 404, body: { error: 'Budget not found' } };
+      return { status: 200, body: settings };
+    },
+
+    async patch(budgetId, payload) {
+      const input = settingsPatchSchema.parse(payload);
+      const settings = await prisma.$transaction(async (tx) => {
+        const before = await tx.budget.findUnique({ where: { id: budgetId }, select: settingsSelect });
+        const updated = await tx.budget.update({ where: { id: budgetId }, data: input, select: settingsSelect });
+        await recordEvent(tx, budgetId, 'settings.updated', updated, { entityId: budgetId, before });
+        return updated;
+      });
+      return { status: 200, body: settings };
+    }
+  };
+}
+
+/**
+ * curl -X GET http://localhost:3000/api/budgets/<budgetId>/settings -H "Authorization: Bearer <token>"
+ * curl -X PATCH http://localhost:3000/api/budgets/<budgetId>/settings -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"strictOverspending":true}'
+ */
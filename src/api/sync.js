@@ -0,0 +1,215 @@
+import { z } from 'zod';
+import { prisma, Rollback, transactionOrRollback } from '../db.js';
+import { failedResult } from '../errors.js';
+import { SYNCED_MODELS, settleChanges } from '../sync.js';
+import { createAccount, patchAccount } from './accounts.js';
+import { assignCategory } from './categories.js';
+import { createTransaction, patchTransaction, removeTransaction } from './transactions.js';
+
+const pullSchema = z.object({
+  since: z.coerce.number().int().min(0).optional()
+});
+
+const changeSchema = z.object({
+  // Unique per change within the budget; a create sent again with the same clientId is not repeated.
+  clientId: z.string().min(1).max(200).optional(),
+  entity: z.enum(['account', 'category', 'transaction']),
+  action: z.enum(['create', 'update', 'delete']),
+  id: z.string().min(1).optional(),
+  // The version of the row the client edited; required for updates and deletes.
+  version: z.number().int().min(0).optional(),
+  data: z.record(z.unknown()).optional()
+});
+
+const pushSchema = z.object({
+  changes: z.array(changeSchema).min(1).max(500)
+});
+
+const PULLED = [
+  ['accounts', 'account'],
+  ['categoryGroups', 'categoryGroup'],
+  ['masterCategories', 'masterCategory'],
+  ['budgetMonths', 'budgetMonth'],
+  ['categories', 'category'],
+  ['transactions', 'transaction']
+];
+
+function findSynced(db, budgetId, entity, id) {
+  if (entity === 'account') return db.account.findFirst({ where: { id, budgetId } });
+  if (entity === 'category') {
+    return db.category.findFirst({ where: { id, budgetMonth: { budgetId } }, include: { budgetMonth: true } });
+  }
+  return db.transaction.findFirst({ where: { id, account: { budgetId } }, include: { splits: true } });
+}
+
+export function createSyncHandler() {
+  // Offline edits replay through the same bookkeeping as online ones, so every budget rule still
+  // applies. Each runs inside the transaction that checked the client's version or clientId.
+  const operations = {
+    account: {
+      create: (tx, budgetId, change) => createAccount(tx, budgetId, change.data),
+      update: (tx, budgetId, change) => patchAccount(tx, budgetId, change.id, change.data)
+    },
+    category: {
+      update: (tx, budgetId, change, current) => assignCategory(tx, budgetId, current.budgetMonth.month, change.id, change.data)
+    },
+    transaction: {
+      create: (tx, budgetId, change) => createTransaction(tx, budgetId, change.data),
+      update: (tx, budgetId, change) => patchTransaction(tx, budgetId, change.id, change.data),
+      delete: (tx, budgetId, change) => removeTransaction(tx, budgetId, change.id)
+    }
+  };
+
+  /**
+   * Why a change could not claim its row: the row was deleted or changed since the client saw it.
+   */
+  async function conflict(tx, budgetId, change) {
+    const current = await findSynced(tx, budgetId, change.entity, change.id);
+    if (!current) {
+      const tombstone = await tx.tombstone.findFirst({ where: { budgetId, entity: change.entity, entityId: change.id } });
+      if (!tombstone) return { status: 'rejected', error: `${change.entity} not found` };
+      return { status: 'conflict', reason: 'deleted', version: tombstone.version, deletedAt: tombstone.deletedAt };
+    }
+    return { status: 'conflict', reason: 'stale', version: current.version, data: current };
+  }
+
+  /**
+   * Runs a handler, turning a refused write or an error the client can fix into a rejection.
+   */
+  async function attempt(run) {
+    try {
+      const result = await run();
+      if (result.status >= 300) return { rejected: { status: 'rejected', error: result.body.error } };
+      return { result };
+    } catch (error) {
+      return { rejected: { status: 'rejected', ...failedResult(error).body } };
+    }
+  }
+
+  /**
+   * Answers a create sent again with the row its first push made.
+   */
+  async function replay(budgetId, change, receipt) {
+    if (receipt.entity !== change.entity) return { status: 'rejected', error: 'clientId was already used for another change' };
+    const current = await findSynced(prisma, budgetId, receipt.entity, receipt.entityId);
+    if (!current) return conflict(prisma, budgetId, { entity: receipt.entity, id: receipt.entityId });
+    return { status: 'applied', id: current.id, version: current.version, data: current };
+  }
+
+  /**
+   * Creates have no version to check, so a client retrying a push after losing the response is
+   * recognised by the receipt its clientId left instead.
+   */
+  async function applyCreate(budgetId, change, operation) {
+    const receiptKey = { budgetId_clientId: { budgetId, clientId: change.clientId } };
+    if (change.clientId) {
+      const receipt = await prisma.syncReceipt.findUnique({ where: receiptKey });
+      if (receipt) return replay(budgetId, change, receipt);
+    }
+
+    try {
+      return await transactionOrRollback(async (tx) => {
+        const { result, rejected } = await attempt(() => operation(tx, budgetId, change));
+        if (rejected) throw new Rollback(rejected);
+        if (change.clientId) {
+          await tx.syncReceipt.create({
+            data: { budgetId, clientId: change.clientId, entity: change.entity, entityId: result.body.id }
+          });
+        }
+
+        const applied = await findSynced(tx, budgetId, change.entity, result.body.id);
+        return { status: 'applied', id: applied.id, version: applied.version, data: applied };
+      });
+    } catch (error) {
+      // A retry racing the first push loses on the unique receipt and answers with the first push's row.
+      if (error?.code !== 'P2002' || !error.meta?.target?.includes('clientId')) throw error;
+      return replay(budgetId, change, await prisma.syncReceipt.findUnique({ where: receiptKey }));
+    }
+  }
+
+  async function applyChange(budgetId, change) {
+    const operation = operations[change.entity][change.action];
+    if (!operation) return { status: 'rejected', error: `Sync cannot ${change.action} a ${change.entity}` };
+
+    if (change.action === 'create') return applyCreate(budgetId, change, operation);
+
+    if (!change.id || change.version === undefined) {
+      return { status: 'rejected', error: 'id and version are required to update or delete' };
+    }
+
+    return transactionOrRollback(async (tx) => {
+      // Claiming the row at a version no newer than the client's locks it until this transaction
+      // commits, so a write landing between the check and the change cannot be overwritten. A
+      // pending row is being changed right now, which is as stale as a newer version.
+      const claimed = await tx[change.entity].updateMany({
+        where: { ...SYNCED_MODELS[change.entity](budgetId), id: change.id, version: { lte: change.version } },
+        data: { version: null }
+      });
+      if (claimed.count === 0) throw new Rollback(await conflict(tx, budgetId, change));
+
+      const current = await findSynced(tx, budgetId, change.entity, change.id);
+      const { rejected } = await attempt(() => operation(tx, budgetId, change, current));
+      if (rejected) throw new Rollback(rejected);
+      if (change.action === 'delete') return { status: 'applied', id: change.id };
+
+      const applied = await findSynced(tx, budgetId, change.entity, change.id);
+      return { status: 'applied', id: change.id, version: applied.version, data: applied };
+    });
+  }
+
+  return {
+    /**
+     * Everything that changed after `since`, with tombstones for deleted rows and the knowledge to
+     * send next time. Without `since`, or with knowledge this budget never had, returns every row.
+     */
+    async pull(budgetId, query) {
+      const input = pullSchema.parse(query ?? {});
+
+      const body = await prisma.$transaction(async (tx) => {
+        const knowledge = await settleChanges(tx, budgetId);
+        const full = input.since === undefined || input.since > knowledge;
+        const changed = (inBudget) => ({ ...inBudget(budgetId), ...(full ? {} : { version: { gt: input.since } }) });
+
+        const pulled = { knowledge, full };
+        for (const [key, model] of PULLED) {
+          pulled[key] = await tx[model].findMany({
+            where: changed(SYNCED_MODELS[model]),
+            ...(model === 'transaction' ? { include: { splits: true } } : {}),
+            orderBy: { version: 'asc' }
+          });
+        }
+        const tombstones = full ? [] : await tx.tombstone.findMany({
+          where: { budgetId, version: { gt: input.since } },
+          orderBy: { version: 'asc' }
+        });
+        pulled.deleted = tombstones.map(({ entity, entityId, version }) => ({ entity, id: entityId, version }));
+        return pulled;
+      });
+
+      return { status: 200, body };
+    },
+
+    /**
+     * Applies offline changes in order, each in its own transaction. Updates and deletes carry the
+     * version the client last saw; a row changed or deleted since then comes back as a conflict
+     * rather than being overwritten. Creates with a clientId already pushed return the row they made.
+     */
+    async push(budgetId, payload) {
+      const input = pushSchema.parse(payload);
+
+      const results = [];
+      for (const change of input.changes) {
+        const outcome = await applyChange(budgetId, change);
+        results.push({ clientId: change.clientId ?? null, entity: change.entity, action: change.action, ...outcome });
+      }
+
+      const { version } = await prisma.budget.findUnique({ where: { id: budgetId }, select: { version: true } });
+      return { status: 200, body: { knowledge: version, results } };
+    }
+  };
+}
+
+/**
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/sync?since=120" -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/sync -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"changes":[{"clientId":"local-1","entity":"transaction","action":"update","id":"<transactionId>","version":118,"data":{"memo":"Lunch"}}]}'
+ */
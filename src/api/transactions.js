@@ -1,63 +1,561 @@
 import { z } from 'zod';
-import { prisma } from '../db.js';
-import { decimalAmountSchema, isoDateSchema, paginationSchema } from '../utils/validation.js';
+import { prisma, Rollback, transactionOrRollback } from '../db.js';
+import {
+  categoryAvailable,
+  creditReadyToAssign,
+  ensurePaymentCategory,
+  incomeAmount,
+  openBudgetMonth,
+  resolveMonthCategory
+} from '../budget-engine.js';
+import { failedResult } from '../errors.js';
+import { recordEvent, recordOnSuccess } from '../events.js';
+import { recordDeletion } from '../sync.js';
+import { convertAmount } from '../utils/money.js';
+import { exchangeRateSchema, isoDateSchema, minorAmountSchema, monthOf, paginationSchema } from '../utils/validation.js';
+import { applyPayeeRules, linkPayee } from './payees.js';
 
-const listSchema = paginationSchema.extend({
+const filterSchema = z.object({
   accountId: z.string().optional(),
   categoryId: z.string().optional(),
   dateFrom: isoDateSchema.optional(),
   dateTo: isoDateSchema.optional()
 });
 
+const listSchema = paginationSchema.merge(filterSchema);
+
+const splitSchema = z.object({
+  categoryId: z.string().optional().nullable(),
+  amount: minorAmountSchema,
+  memo: z.string().optional().nullable()
+});
+
 const createSchema = z.object({
   accountId: z.string().min(1),
   categoryId: z.string().optional().nullable(),
   date: isoDateSchema,
   payee: z.string().optional().nullable(),
-  amount: decimalAmountSchema,
+  amount: minorAmountSchema.optional(),
+  originalAmount: minorAmountSchema.optional(),
+  exchangeRate: exchangeRateSchema.optional(),
   memo: z.string().optional().nullable(),
-  cleared: z.boolean().optional()
+  cleared: z.boolean().optional(),
+  transferAccountId: z.string().min(1).optional(),
+  splits: z.array(splitSchema).min(2).optional()
 });
 
-const patchSchema = createSchema.partial();
+const patchSchema = createSchema.omit({ transferAccountId: true }).partial();
+
+const bulkOperationSchema = z.discriminatedUnion('action', [
+  z.object({ action: z.literal('create'), data: z.record(z.unknown()) }),
+  z.object({ action: z.literal('update'), id: z.string().min(1), data: z.record(z.unknown()) }),
+  z.object({ action: z.literal('delete'), id: z.string().min(1) })
+]);
+
+const bulkChangeSchema = patchSchema
+  .pick({ categoryId: true, payee: true, memo: true, cleared: true })
+  .refine((change) => Object.keys(change).length > 0, 'change must set at least one field');
+
+// The most transactions one bulk request changes, whether listed or matched by a filter.
+const BULK_LIMIT = 500;
+
+// A full batch runs every single-item write in one transaction, well past Prisma's 5 second default.
+const BULK_TRANSACTION_OPTIONS = { maxWait: 10000, timeout: 60000 };
+
+// Either explicit operations, or a filter and the change to make to every transaction it matches.
+const bulkSchema = z.union([
+  z.object({ operations: z.array(bulkOperationSchema).min(1).max(BULK_LIMIT) }).strict(),
+  z.object({
+    filter: filterSchema.extend({
+      payee: z.string().min(1).optional(),
+      cleared: z.boolean().optional()
+    }),
+    change: bulkChangeSchema
+  }).strict()
+]);
+
+const TOO_MANY_MATCHES = {
+  status: 400,
+  body: { error: `The filter matches more than ${BULK_LIMIT} transactions; narrow it down` }
+};
+
+const LOCKED_RESPONSE = { status: 409, body: { error: 'Reconciled transactions are locked' } };
+
+/**
+ * Reconciled transactions only accept memo edits; anything else would move a reconciled balance.
+ */
+function changesReconciledFields(input) {
+  return Object.keys(input).some((key) => key !== 'memo');
+}
+
+function transactionFilter(budgetId, input) {
+  return {
+    account: { budgetId },
+    ...(input.accountId ? { accountId: input.accountId } : {}),
+    ...(input.categoryId ? { categoryId: input.categoryId } : {}),
+    ...((input.dateFrom || input.dateTo)
+      ? {
+          date: {
+            ...(input.dateFrom ? { gte: new Date(input.dateFrom) } : {}),
+            ...(input.dateTo ? { lte: new Date(input.dateTo) } : {})
+          }
+        }
+      : {})
+  };
+}
 
+/**
+ * What a line books against its category: outflows are spending and categorized inflows (refunds,
+ * returned split lines) give it back. Uncategorized inflows are income instead.
+ */
 function spendingAmount(categoryId, amount) {
-  return categoryId && amount > 0 ? amount : 0;
+  return categoryId ? amount : 0;
+}
+
+/**
+ * The category lines a transaction books against: its splits, or the transaction itself.
+ */
+export function transactionLines(transaction) {
+  if (transaction.splits?.length) return transaction.splits;
+  return [{ categoryId: transaction.categoryId, amount: transaction.amount }];
+}
+
+function splitsError(amount, splits) {
+  if (!splits) return null;
+  const total = splits.reduce((sum, split) => sum + Number(split.amount), 0);
+  return total === amount ? null : 'Split amounts must add up to the transaction amount';
+}
+
+/**
+ * Works out what a transaction books in the budget currency. Accounts in the budget currency take
+ * `amount` as given; foreign-currency accounts take the statement's `originalAmount` and the rate
+ * that converts it. `existing` fills in whatever a patch leaves out.
+ */
+export async function resolveAmounts(tx, budgetId, account, input, existing = {}) {
+  const { currency } = await tx.budget.findUnique({ where: { id: budgetId }, select: { currency: true } });
+  if (account.currency === currency) {
+    if (input.originalAmount !== undefined || input.exchangeRate !== undefined) {
+      return { error: 'originalAmount and exchangeRate only apply to foreign-currency accounts' };
+    }
+    const amount = input.amount ?? existing.amount;
+    if (amount === undefined) return { error: 'amount is required' };
+    return { amounts: { amount: Number(amount), originalAmount: null, exchangeRate: null } };
+  }
+
+  if (input.amount !== undefined) {
+    return { error: `Amounts on ${account.currency} accounts are converted from originalAmount and exchangeRate` };
+  }
+  const originalAmount = input.originalAmount ?? existing.originalAmount;
+  const exchangeRate = input.exchangeRate ?? existing.exchangeRate;
+  if (originalAmount == null || exchangeRate == null) {
+    return { error: `Transactions on ${account.currency} accounts need originalAmount and exchangeRate` };
+  }
+  return {
+    amounts: {
+      amount: convertAmount(Number(originalAmount), exchangeRate, account.currency, currency),
+      originalAmount: Number(originalAmount),
+      exchangeRate: String(exchangeRate)
+    }
+  };
+}
+
+/**
+ * Net spending per category across `lines`; a category its inflows outweigh comes out negative.
+ */
+export function spendByCategory(lines) {
+  const totals = new Map();
+  for (const line of lines) {
+    const spend = spendingAmount(line.categoryId, Number(line.amount));
+    if (spend !== 0) totals.set(line.categoryId, (totals.get(line.categoryId) ?? 0) + spend);
+  }
+  return totals;
+}
+
+export function transactionIncome(transaction) {
+  if (transaction.transferAccountId) return 0;
+  return transactionLines(transaction).reduce((sum, line) => sum + incomeAmount(line.categoryId, Number(line.amount)), 0);
+}
+
+/**
+ * Keeps a credit card's payment category in step with the card: categorized spending moves the
+ * budgeted amount into it and payments (transfers onto the card) draw it down. `sign` is -1 to reverse.
+ */
+async function applyCreditCardActivity(tx, budgetId, transaction, sign) {
+  const account = await tx.account.findFirst({ where: { id: transaction.accountId, budgetId } });
+  if (account?.type !== 'credit') return;
+
+  if (transaction.transferAccountId) {
+    const budget = await openBudgetMonth(tx, budgetId, monthOf(transaction.date));
+    const payment = await ensurePaymentCategory(tx, budget.id, account);
+    await tx.category.update({ where: { id: payment.id }, data: { spent: { decrement: Number(transaction.amount) * sign }, version: null } });
+    return;
+  }
+
+  for (const [categoryId, spend] of spendByCategory(transactionLines(transaction))) {
+    const category = await tx.category.findFirst({ where: { id: categoryId, budgetMonth: { budgetId } } });
+    const payment = await ensurePaymentCategory(tx, category.budgetMonthId, account);
+    await tx.category.update({ where: { id: payment.id }, data: { spent: { decrement: spend * sign }, version: null } });
+  }
+}
+
+/**
+ * Books a non-transfer transaction against its account, categories and Ready to Assign. `sign` is -1 to reverse.
+ */
+async function applyTransaction(tx, budgetId, transaction, sign) {
+  await tx.account.update({
+    where: { id: transaction.accountId },
+    data: { balance: { decrement: Number(transaction.amount) * sign }, version: null }
+  });
+  for (const [categoryId, spend] of spendByCategory(transactionLines(transaction))) {
+    await tx.category.update({ where: { id: categoryId }, data: { spent: { increment: spend * sign }, version: null } });
+  }
+  await creditReadyToAssign(tx, budgetId, transaction.date, transactionIncome(transaction) * sign);
+  await applyCreditCardActivity(tx, budgetId, transaction, sign);
+}
+
+/**
+ * The other side of a transfer books the same amounts in the opposite direction.
+ */
+function negated(amounts) {
+  return {
+    ...amounts,
+    amount: -amounts.amount,
+    originalAmount: amounts.originalAmount === null ? null : -amounts.originalAmount
+  };
+}
+
+/**
+ * The response refusing a transfer from `account` to `target`, or null when it can be posted.
+ */
+export function transferError(input, account, target) {
+  if (input.categoryId || input.splits) return { status: 400, body: { error: 'Transfers cannot be categorized' } };
+  if (input.transferAccountId === input.accountId) {
+    return { status: 400, body: { error: 'Cannot transfer to the same account' } };
+  }
+  if (!account || !target) return { status: 404, body: { error: 'Account not found' } };
+  if (account.currency !== target.currency) {
+    return { status: 400, body: { error: 'Transfers between accounts in different currencies are not supported' } };
+  }
+  return null;
+}
+
+async function createTransfer(tx, budgetId, input) {
+  const account = await tx.account.findFirst({ where: { id: input.accountId, budgetId } });
+  const target = await tx.account.findFirst({ where: { id: input.transferAccountId, budgetId } });
+  const refused = transferError(input, account, target);
+  if (refused) return refused;
+
+  const { error, amounts } = await resolveAmounts(tx, budgetId, account, input);
+  if (error) return { status: 400, body: { error } };
+
+  const date = new Date(input.date);
+  const source = await tx.transaction.create({
+    data: {
+      accountId: account.id,
+      transferAccountId: target.id,
+      date,
+      payee: input.payee ?? `Transfer : ${target.name}`,
+      ...amounts,
+      memo: input.memo,
+      cleared: input.cleared
+    }
+  });
+  const counterpart = await tx.transaction.create({
+    data: {
+      accountId: target.id,
+      transferAccountId: account.id,
+      transferTransactionId: source.id,
+      date,
+      payee: `Transfer : ${account.name}`,
+      ...negated(amounts),
+      memo: input.memo
+    }
+  });
+  const linked = await tx.transaction.update({
+    where: { id: source.id },
+    data: { transferTransactionId: counterpart.id }
+  });
+
+  await tx.account.update({ where: { id: account.id }, data: { balance: { decrement: amounts.amount }, version: null } });
+  await tx.account.update({ where: { id: target.id }, data: { balance: { increment: amounts.amount }, version: null } });
+  await applyCreditCardActivity(tx, budgetId, linked, 1);
+  await applyCreditCardActivity(tx, budgetId, counterpart, 1);
+
+  return { status: 201, body: { ...linked, transfer: counterpart } };
+}
+
+async function patchTransfer(tx, budgetId, existing, input) {
+  if (input.categoryId || input.splits || (input.accountId && input.accountId !== existing.accountId)) {
+    return { status: 400, body: { error: 'Transfers cannot change account or category' } };
+  }
+
+  const previousCounterpart = await tx.transaction.findFirst({
+    where: { id: existing.transferTransactionId, account: { budgetId } }
+  });
+  const movesMoney = ['amount', 'originalAmount', 'exchangeRate', 'date'].some((key) => input[key] !== undefined);
+  if (previousCounterpart.reconciled && movesMoney) return LOCKED_RESPONSE;
+
+  const account = await tx.account.findFirst({ where: { id: existing.accountId, budgetId } });
+  const { error, amounts } = await resolveAmounts(tx, budgetId, account, input, existing);
+  if (error) return { status: 400, body: { error } };
+
+  await applyCreditCardActivity(tx, budgetId, existing, -1);
+  await applyCreditCardActivity(tx, budgetId, previousCounterpart, -1);
+
+  const date = input.date ? new Date(input.date) : existing.date;
+  const delta = Number(existing.amount) - amounts.amount;
+
+  const updated = await tx.transaction.update({
+    where: { id: existing.id },
+    data: {
+      ...amounts,
+      date,
+      payee: input.payee === undefined ? existing.payee : input.payee,
+      memo: input.memo === undefined ? existing.memo : input.memo,
+      cleared: input.cleared ?? existing.cleared,
+      version: null
+    }
+  });
+  const counterpart = await tx.transaction.update({
+    where: { id: existing.transferTransactionId },
+    data: { ...negated(amounts), date, version: null }
+  });
+
+  await tx.account.update({ where: { id: existing.accountId }, data: { balance: { increment: delta }, version: null } });
+  await tx.account.update({ where: { id: existing.transferAccountId }, data: { balance: { decrement: delta }, version: null } });
+  await applyCreditCardActivity(tx, budgetId, updated, 1);
+  await applyCreditCardActivity(tx, budgetId, counterpart, 1);
+
+  return { status: 200, body: { ...updated, transfer: counterpart } };
+}
+
+async function removeTransfer(tx, budgetId, existing) {
+  const counterpart = await tx.transaction.findFirst({
+    where: { id: existing.transferTransactionId, account: { budgetId } }
+  });
+  if (counterpart.reconciled) return LOCKED_RESPONSE;
+
+  await applyCreditCardActivity(tx, budgetId, existing, -1);
+  await applyCreditCardActivity(tx, budgetId, counterpart, -1);
+  await tx.account.update({ where: { id: existing.accountId }, data: { balance: { increment: Number(existing.amount) }, version: null } });
+  await tx.account.update({ where: { id: existing.transferAccountId }, data: { balance: { decrement: Number(existing.amount) }, version: null } });
+  await tx.transaction.delete({ where: { id: existing.transferTransactionId } });
+  await tx.transaction.delete({ where: { id: existing.id } });
+  await recordDeletion(tx, budgetId, 'transaction', [existing.id, existing.transferTransactionId]);
+  await recordEvent(
+    tx, budgetId, 'transaction.deleted', { id: existing.id, transferTransactionId: existing.transferTransactionId }, { before: existing }
+  );
+
+  return { status: 200, body: { success: true } };
 }
 
-async function ensureCategoryAvailability(tx, userId, categoryId, spendAmount, previousSpend = 0) {
+async function ensureCategoryAvailability(tx, budgetId, categoryId, spendAmount, previousSpend = 0) {
   if (!categoryId || spendAmount <= 0) return;
   const category = await tx.category.findFirst({
-    where: { id: categoryId, budgetMonth: { userId } },
+    where: { id: categoryId, budgetMonth: { budgetId } },
     include: { budgetMonth: true }
   });
   if (!category) throw new Error('Category not found');
 
-  const available = Number(category.assigned) - (Number(category.spent) - previousSpend);
+  // Overspending is allowed and surfaced on the category unless the budget opted into strict envelopes.
+  const settings = await tx.budget.findUnique({ where: { id: budgetId }, select: { strictOverspending: true } });
+  if (!settings?.strictOverspending) return;
+
+  const available = categoryAvailable(category) + previousSpend;
   if (spendAmount > available) throw new Error('Spending exceeds available category funds');
 }
 
+async function ensureLinesAvailability(tx, budgetId, lines, previousLines = []) {
+  const previous = spendByCategory(previousLines);
+  for (const [categoryId, spend] of spendByCategory(lines)) {
+    await ensureCategoryAvailability(tx, budgetId, categoryId, spend, previous.get(categoryId) ?? 0);
+  }
+}
+
+/**
+ * Points the category and each split line at its row in the month of the transaction's date, so a
+ * row picked from another month books against the month the money moved in.
+ */
+async function resolveLineCategories(tx, budgetId, input) {
+  const resolve = async (categoryId) => (
+    categoryId ? (await resolveMonthCategory(tx, budgetId, categoryId, input.date)).id : categoryId
+  );
+
+  const resolved = { ...input, categoryId: await resolve(input.categoryId) };
+  if (input.splits) {
+    resolved.splits = [];
+    for (const split of input.splits) resolved.splits.push({ ...split, categoryId: await resolve(split.categoryId) });
+  }
+  return resolved;
+}
+
+/**
+ * Creates a transaction (or transfer pair) inside an open Prisma transaction so other services can
+ * post through the same bookkeeping.
+ */
+export async function createTransaction(tx, budgetId, payload) {
+  const parsed = createSchema.parse(payload);
+  if (parsed.transferAccountId) {
+    return recordOnSuccess(tx, budgetId, 'transaction.created', await createTransfer(tx, budgetId, parsed));
+  }
+
+  const account = await tx.account.findFirst({ where: { id: parsed.accountId, budgetId } });
+  if (!account) return { status: 404, body: { error: 'Account not found' } };
+
+  const { error, amounts } = await resolveAmounts(tx, budgetId, account, parsed);
+  if (error) return { status: 400, body: { error } };
+
+  const splitError = splitsError(amounts.amount, parsed.splits);
+  if (splitError) return { status: 400, body: { error: splitError } };
+
+  const input = await resolveLineCategories(tx, budgetId, await applyPayeeRules(tx, budgetId, { ...parsed, ...amounts }));
+
+  await ensureLinesAvailability(tx, budgetId, transactionLines(input));
+
+  const { splits, ...fields } = input;
+  const created = await tx.transaction.create({
+    data: {
+      ...fields,
+      categoryId: splits ? null : input.categoryId,
+      date: new Date(input.date),
+      ...(splits ? { splits: { create: splits } } : {})
+    },
+    include: { splits: true }
+  });
+  await applyTransaction(tx, budgetId, created, 1);
+  await recordEvent(tx, budgetId, 'transaction.created', created);
+
+  return { status: 201, body: created };
+}
+
+/**
+ * Patches a transaction inside an open Prisma transaction, reversing its old bookings and applying the new ones.
+ */
+export async function patchTransaction(tx, budgetId, transactionId, payload) {
+  const input = patchSchema.parse(payload);
+
+  const existing = await tx.transaction.findFirst({
+    where: { id: transactionId, account: { budgetId } },
+    include: { splits: true }
+  });
+  if (!existing) return { status: 404, body: { error: 'Transaction not found' } };
+  if (existing.reconciled && changesReconciledFields(input)) return LOCKED_RESPONSE;
+  if (existing.transferTransactionId) {
+    return recordOnSuccess(tx, budgetId, 'transaction.updated', await patchTransfer(tx, budgetId, existing, input), { before: existing });
+  }
+
+  const account = await tx.account.findFirst({ where: { id: input.accountId ?? existing.accountId, budgetId } });
+  if (!account) return { status: 404, body: { error: 'New account not found' } };
+  // Moving to an account in another currency needs the amounts restated in that currency.
+  const previousAccount = account.id === existing.accountId
+    ? account
+    : await tx.account.findFirst({ where: { id: existing.accountId, budgetId } });
+  const { error, amounts } = await resolveAmounts(
+    tx, budgetId, account, input, account.currency === previousAccount.currency ? existing : {}
+  );
+  if (error) return { status: 400, body: { error } };
+
+  // New splits replace the old ones; setting a category turns a split back into a single line.
+  const keepSplits = input.categoryId === undefined && existing.splits.length > 0;
+  const next = await resolveLineCategories(tx, budgetId, {
+    accountId: account.id,
+    categoryId: input.categoryId === undefined ? existing.categoryId : input.categoryId,
+    ...amounts,
+    date: input.date ? new Date(input.date) : existing.date,
+    payee: input.payee === undefined ? existing.payee : input.payee,
+    payeeId: input.payee === undefined ? existing.payeeId : (await linkPayee(tx, budgetId, input.payee))?.id ?? null,
+    memo: input.memo === undefined ? existing.memo : input.memo,
+    cleared: input.cleared ?? existing.cleared,
+    splits: input.splits ?? (keepSplits
+      ? existing.splits.map((split) => ({ categoryId: split.categoryId, amount: Number(split.amount), memo: split.memo }))
+      : null)
+  });
+  if (next.splits) next.categoryId = null;
+
+  const splitError = splitsError(next.amount, next.splits);
+  if (splitError) return { status: 400, body: { error: splitError } };
+
+  await ensureLinesAvailability(tx, budgetId, transactionLines(next), transactionLines(existing));
+  await applyTransaction(tx, budgetId, existing, -1);
+
+  const { splits, ...fields } = next;
+  const updated = await tx.transaction.update({
+    where: { id: transactionId },
+    data: {
+      ...fields,
+      splits: { deleteMany: {}, ...(splits ? { create: splits } : {}) },
+      version: null
+    },
+    include: { splits: true }
+  });
+  await applyTransaction(tx, budgetId, updated, 1);
+  await recordEvent(tx, budgetId, 'transaction.updated', updated, { before: existing });
+
+  return { status: 200, body: updated };
+}
+
+/**
+ * Deletes a transaction inside an open Prisma transaction, reversing its bookings.
+ */
+export async function removeTransaction(tx, budgetId, transactionId) {
+  const existing = await tx.transaction.findFirst({
+    where: { id: transactionId, account: { budgetId } },
+    include: { splits: true }
+  });
+  if (!existing) return { status: 404, body: { error: 'Transaction not found' } };
+  if (existing.reconciled) return LOCKED_RESPONSE;
+  if (existing.transferTransactionId) return removeTransfer(tx, budgetId, existing);
+
+  await applyTransaction(tx, budgetId, existing, -1);
+  await tx.transaction.delete({ where: { id: transactionId } });
+  await recordDeletion(tx, budgetId, 'transaction', [transactionId]);
+  await recordEvent(tx, budgetId, 'transaction.deleted', { id: existing.id }, { before: existing });
+
+  return { status: 200, body: { success: true } };
+}
+
+async function applyBulkOperation(tx, budgetId, operation) {
+  try {
+    if (operation.action === 'create') return await createTransaction(tx, budgetId, operation.data);
+    if (operation.action === 'update') return await patchTransaction(tx, budgetId, operation.id, operation.data);
+    return await removeTransaction(tx, budgetId, operation.id);
+  } catch (error) {
+    return failedResult(error);
+  }
+}
+
+/**
+ * One update per transaction the filter matches. Reconciled transactions are locked, and a category
+ * change skips transfers, which cannot take one, and split transactions, whose lines keep theirs.
+ * Returns null when the filter matches more than a bulk request may change.
+ */
+async function filterOperations(tx, budgetId, filter, change) {
+  const matches = await tx.transaction.findMany({
+    where: {
+      ...transactionFilter(budgetId, filter),
+      ...(filter.payee ? { payee: { contains: filter.payee, mode: 'insensitive' } } : {}),
+      ...(filter.cleared === undefined ? {} : { cleared: filter.cleared }),
+      ...(change.categoryId === undefined ? {} : { transferAccountId: null, splits: { none: {} } }),
+      reconciled: false
+    },
+    orderBy: { date: 'asc' },
+    take: BULK_LIMIT + 1
+  });
+  if (matches.length > BULK_LIMIT) return null;
+
+  return matches.map((match) => ({ action: 'update', id: match.id, data: change }));
+}
+
 export function createTransactionsHandler() {
   return {
-    async list(userId, query) {
+    async list(budgetId, query) {
       const input = listSchema.parse(query ?? {});
-      const where = {
-        account: { userId },
-        ...(input.accountId ? { accountId: input.accountId } : {}),
-        ...(input.categoryId ? { categoryId: input.categoryId } : {}),
-        ...((input.dateFrom || input.dateTo)
-          ? {
-              date: {
-                ...(input.dateFrom ? { gte: new Date(input.dateFrom) } : {}),
-                ...(input.dateTo ? { lte: new Date(input.dateTo) } : {})
-              }
-            }
-          : {})
-      };
+      const where = transactionFilter(budgetId, input);
 
       const [items, total] = await prisma.$transaction([
         prisma.transaction.findMany({
           where,
+          include: { splits: true },
           orderBy: { date: 'desc' },
           skip: (input.page - 1) * input.limit,
           take: input.limit
@@ -68,117 +566,62 @@ export function createTransactionsHandler() {
       return { status: 200, body: { items, total, page: input.page, limit: input.limit } };
     },
 
-    async create(userId, payload) {
-      const input = createSchema.parse(payload);
-      const spend = spendingAmount(input.categoryId, input.amount);
-
-      const result = await prisma.$transaction(async (tx) => {
-        const account = await tx.account.findFirst({ where: { id: input.accountId, userId } });
-        if (!account) return { status: 404, body: { error: 'Account not found' } };
-
-        await ensureCategoryAvailability(tx, userId, input.categoryId, spend);
-
-        const created = await tx.transaction.create({
-          data: { ...input, amount: input.amount, date: new Date(input.date) }
-        });
-
-        await tx.account.update({ where: { id: account.id }, data: { balance: { decrement: input.amount } } });
-        if (spend > 0) {
-          await tx.category.update({ where: { id: input.categoryId }, data: { spent: { increment: spend } } });
-        }
-
-        return { status: 201, body: created };
-      });
-
-      return result;
+    async create(budgetId, payload) {
+      return prisma.$transaction((tx) => createTransaction(tx, budgetId, payload));
     },
 
-    async patch(userId, transactionId, payload) {
-      const input = patchSchema.parse(payload);
-
-      const result = await prisma.$transaction(async (tx) => {
-        const existing = await tx.transaction.findFirst({
-          where: { id: transactionId, account: { userId } }
-        });
-        if (!existing) return { status: 404, body: { error: 'Transaction not found' } };
-
-        const next = {
-          accountId: input.accountId ?? existing.accountId,
-          categoryId: input.categoryId === undefined ? existing.categoryId : input.categoryId,
-          amount: input.amount ?? Number(existing.amount),
-          date: input.date ? new Date(input.date) : existing.date,
-          payee: input.payee === undefined ? existing.payee : input.payee,
-          memo: input.memo === undefined ? existing.memo : input.memo,
-          cleared: input.cleared ?? existing.cleared
-        };
-
-        const oldSpend = spendingAmount(existing.categoryId, Number(existing.amount));
-        const newSpend = spendingAmount(next.categoryId, next.amount);
-        await ensureCategoryAvailability(tx, userId, next.categoryId, newSpend, next.categoryId === existing.categoryId ? oldSpend : 0);
-
-        const updated = await tx.transaction.update({
-          where: { id: transactionId },
-          data: {
-            accountId: next.accountId,
-            categoryId: next.categoryId,
-            amount: next.amount,
-            date: next.date,
-            payee: next.payee,
-            memo: next.memo,
-            cleared: next.cleared
-          }
-        });
-
-        if (next.accountId === existing.accountId) {
-          await tx.account.update({
-            where: { id: existing.accountId },
-            data: { balance: { increment: Number(existing.amount) - next.amount } }
-          });
-        } else {
-          const nextAccount = await tx.account.findFirst({ where: { id: next.accountId, userId } });
-          if (!nextAccount) return { status: 404, body: { error: 'New account not found' } };
-          await tx.account.update({ where: { id: existing.accountId }, data: { balance: { increment: Number(existing.amount) } } });
-          await tx.account.update({ where: { id: next.accountId }, data: { balance: { decrement: next.amount } } });
-        }
-
-        if (existing.categoryId && oldSpend > 0) {
-          await tx.category.update({ where: { id: existing.categoryId }, data: { spent: { decrement: oldSpend } } });
-        }
-        if (next.categoryId && newSpend > 0) {
-          await tx.category.update({ where: { id: next.categoryId }, data: { spent: { increment: newSpend } } });
-        }
-
-        return { status: 200, body: updated };
-      });
+    async patch(budgetId, transactionId, payload) {
+      return prisma.$transaction((tx) => patchTransaction(tx, budgetId, transactionId, payload));
+    },
 
-      return result;
+    async remove(budgetId, transactionId) {
+      return prisma.$transaction((tx) => removeTransaction(tx, budgetId, transactionId));
     },
 
-    async remove(userId, transactionId) {
-      const result = await prisma.$transaction(async (tx) => {
-        const existing = await tx.transaction.findFirst({
-          where: { id: transactionId, account: { userId } }
-        });
-        if (!existing) return { status: 404, body: { error: 'Transaction not found' } };
-
-        const oldSpend = spendingAmount(existing.categoryId, Number(existing.amount));
-        await tx.account.update({ where: { id: existing.accountId }, data: { balance: { increment: Number(existing.amount) } } });
-        if (existing.categoryId && oldSpend > 0) {
-          await tx.category.update({ where: { id: existing.categoryId }, data: { spent: { decrement: oldSpend } } });
-        }
-        await tx.transaction.delete({ where: { id: transactionId } });
+    /**
+     * Runs every operation through the single-item bookkeeping in one Prisma transaction. Results
+     * come back per operation; when one fails nothing is applied, and the results stop at the one
+     * that failed with the status it would have answered on its own. A request changes at most
+     * BULK_LIMIT transactions.
+     */
+    async bulk(budgetId, payload) {
+      const input = bulkSchema.parse(payload);
 
-        return { status: 200, body: { success: true } };
-      });
+      return transactionOrRollback(async (tx) => {
+        const operations = input.operations ?? await filterOperations(tx, budgetId, input.filter, input.change);
+        if (!operations) return TOO_MANY_MATCHES;
 
-      return result;
+        const results = [];
+        for (const [index, operation] of operations.entries()) {
+          const result = await applyBulkOperation(tx, budgetId, operation);
+          results.push({
+            index,
+            action: operation.action,
+            id: operation.id ?? result.body.id ?? null,
+            status: result.status,
+            body: result.body
+          });
+          if (result.status >= 300) {
+            throw new Rollback({
+              status: result.status,
+              body: { error: `Operation ${index} failed; no changes were applied`, results }
+            });
+          }
+        }
+        return { status: 200, body: { results } };
+      }, BULK_TRANSACTION_OPTIONS);
     }
   };
 }
 
 /**
- * curl -X GET "http://localhost:3000/api/transactions?page=1&limit=20" -H "Authorization: Bearer <token>"
- * curl -X POST http://localhost:3000/api/transactions -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"accountId":"<accountId>","categoryId":"<categoryId>","date":"2026-01-01T00:00:00.000Z","amount":10.5}'
- * curl -X PATCH http://localhost:3000/api/transactions/<id> -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"memo":"updated"}'
- * curl -X DELETE http://localhost:3000/api/transactions/<id> -H "Authorization: Bearer <token>"
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/transactions?page=1&limit=20" -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/transactions -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"accountId":"<accountId>","categoryId":"<categoryId>","date":"2026-01-01T00:00:00.000Z","amount":1050}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/transactions -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"accountId":"<accountId>","transferAccountId":"<accountId>","date":"2026-01-01T00:00:00.000Z","amount":50000}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/transactions -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"accountId":"<accountId>","date":"2026-01-01T00:00:00.000Z","amount":12000,"splits":[{"categoryId":"<categoryId>","amount":8000},{"categoryId":"<categoryId>","amount":4000}]}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/transactions -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"accountId":"<eurAccountId>","categoryId":"<categoryId>","date":"2026-01-01T00:00:00.000Z","originalAmount":2000,"exchangeRate":"1.0842"}'
+ * curl -X PATCH http://localhost:3000/api/budgets/<budgetId>/transactions/<id> -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"memo":"updated"}'
+ * curl -X DELETE http://localhost:3000/api/budgets/<budgetId>/transactions/<id> -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/transactions/bulk -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"operations":[{"action":"update","id":"<id>","data":{"cleared":true}},{"action":"delete","id":"<id>"}]}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/transactions/bulk -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"filter":{"payee":"Starbucks"},"change":{"categoryId":"<categoryId>"}}'
  */
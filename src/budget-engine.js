@@ -1,3 +1,10 @@
+import { monthOf } from './utils/validation.js';
+
+/**
+ * Message fragments of the errors thrown when a change would break a budget rule.
+ */
+export const BUDGET_RULE_ERRORS = ['exceeds available', 'Insufficient', 'not overspent'];
+
 /**
  * @param {{availableToBudget:number, assigned:number}} input
  */
@@ -14,3 +21,307 @@ export function assignMoney(input) {
     availableToBudget: input.availableToBudget - input.assigned
   };
 }
+
+/**
+ * @param {{available:number, amount:number}} input
+ */
+export function moveMoney(input) {
+  if (input.amount <= 0) {
+    throw new Error('Moved amount must be > 0');
+  }
+  if (input.amount > input.available) {
+    throw new Error('Insufficient category funds');
+  }
+
+  return {
+    amount: input.amount,
+    available: input.available - input.amount
+  };
+}
+
+/**
+ * Pulls exactly enough from a source category to bring an overspent category back to zero.
+ * @param {{available:number, sourceAvailable:number}} input
+ */
+export function coverOverspending(input) {
+  if (input.available >= 0) {
+    throw new Error('Category is not overspent');
+  }
+
+  const moved = moveMoney({ available: input.sourceAvailable, amount: -input.available });
+  return {
+    amount: moved.amount,
+    available: 0,
+    sourceAvailable: moved.available
+  };
+}
+
+/**
+ * Inflows without a category are income and fund Ready to Assign; categorized inflows go back to
+ * their category instead.
+ * @param {string|null|undefined} categoryId
+ * @param {number} amount
+ */
+export function incomeAmount(categoryId, amount) {
+  return !categoryId && amount < 0 ? -amount : 0;
+}
+
+/**
+ * @param {{carryover?:number, assigned:number, spent:number}} category
+ */
+export function categoryAvailable(category) {
+  return Number(category.carryover ?? 0) + Number(category.assigned) - Number(category.spent);
+}
+
+export const GOAL_TYPES = ['targetBalanceByDate', 'monthlyFunding', 'weeklyFunding', 'neededForSpending'];
+
+function monthsUntil(month, date) {
+  const due = monthOf(date);
+  const months = (due.getUTCFullYear() - month.getUTCFullYear()) * 12 + due.getUTCMonth() - month.getUTCMonth() + 1;
+  return Math.max(months, 1);
+}
+
+function weekdaysInMonth(month, weekday) {
+  const days = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 0)).getUTCDate();
+  const first = (weekday - month.getUTCDay() + 7) % 7;
+  return Math.floor((days - 1 - first) / 7) + 1;
+}
+
+/**
+ * How much a category's goal asks to be assigned in `month` and how much of that is still missing.
+ * Target balances count spending against the goal; spending goals only look at money put in.
+ * @param {{goalType?:string|null, goalAmount?:number|null, goalDate?:Date|null, carryover?:number, assigned:number, spent:number}} category
+ * @param {Date} month first day of the budget month
+ */
+export function goalProgress(category, month) {
+  if (!category.goalType) return null;
+
+  const amount = Number(category.goalAmount);
+  const carryover = Number(category.carryover ?? 0);
+  const assigned = Number(category.assigned);
+  const remaining = category.goalDate ? monthsUntil(month, category.goalDate) : 1;
+  let needed;
+  switch (category.goalType) {
+    case 'monthlyFunding':
+      needed = amount;
+      break;
+    case 'weeklyFunding':
+      needed = amount * weekdaysInMonth(month, new Date(category.goalDate ?? month).getUTCDay());
+      break;
+    case 'neededForSpending':
+      needed = Math.max(amount - carryover, 0) / remaining;
+      break;
+    default:
+      needed = Math.max(amount - (carryover - Number(category.spent)), 0) / remaining;
+  }
+
+  // Amounts are minor units; a fraction of a cent left over from spreading a goal is rounded up.
+  needed = Math.ceil(needed);
+  const underfunded = Math.max(needed - assigned, 0);
+  return {
+    type: category.goalType,
+    amount,
+    date: category.goalDate ?? null,
+    needed,
+    underfunded,
+    progress: needed > 0 ? Math.min(assigned / needed, 1) : 1
+  };
+}
+
+/**
+ * Computes how a month closes into the next one: positive category balances carry forward,
+ * leftover Ready to Assign moves over and overspending is taken out of it.
+ * @param {{availableToBudget:number, categories:Array<{carryover?:number, assigned:number, spent:number}>}} input
+ */
+export function rolloverMonth(input) {
+  let overspent = 0;
+  const categories = input.categories.map((category) => {
+    const available = categoryAvailable(category);
+    if (available < 0) overspent -= available;
+    return { ...category, carryover: Math.max(available, 0) };
+  });
+
+  return {
+    carryoverFromPrev: Number(input.availableToBudget) - overspent,
+    categories
+  };
+}
+
+const nextMonth = (month) => new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1));
+
+async function openFrom(tx, budgetId, previous, month) {
+  const rollover = rolloverMonth(previous);
+  const opened = await tx.budgetMonth.create({
+    data: {
+      budgetId,
+      month,
+      carryoverFromPrev: rollover.carryoverFromPrev,
+      availableToBudget: rollover.carryoverFromPrev
+    }
+  });
+
+  const categories = [];
+  for (const category of rollover.categories) {
+    categories.push(await tx.category.create({
+      data: { budgetMonthId: opened.id, masterCategoryId: category.masterCategoryId, carryover: category.carryover }
+    }));
+  }
+  return { ...opened, categories };
+}
+
+/**
+ * Returns the budget month, opening it when it does not exist yet. Months stay contiguous: every
+ * missing month up to it is opened in order from the month right before, so each month rolls into
+ * the next. A month's Ready to Assign includes everything carried into it.
+ */
+export async function openBudgetMonth(tx, budgetId, month) {
+  const existing = await tx.budgetMonth.findUnique({ where: { budgetId_month: { budgetId, month } } });
+  if (existing) return existing;
+
+  const previous = await tx.budgetMonth.findFirst({
+    where: { budgetId, month: { lt: month } },
+    orderBy: { month: 'desc' },
+    include: { categories: true }
+  });
+  if (!previous) {
+    // A month before the first one opens empty, along with the months between it and the first one.
+    const following = await tx.budgetMonth.findFirst({ where: { budgetId, month: { gt: month } }, orderBy: { month: 'asc' } });
+    const opened = await tx.budgetMonth.create({ data: { budgetId, month } });
+    for (let gap = nextMonth(month); following && gap < following.month; gap = nextMonth(gap)) {
+      await tx.budgetMonth.create({ data: { budgetId, month: gap } });
+    }
+    return opened;
+  }
+
+  let opened = previous;
+  for (let next = nextMonth(previous.month); next <= month; next = nextMonth(next)) {
+    opened = await openFrom(tx, budgetId, opened, next);
+  }
+  const { categories, ...budget } = opened;
+  return budget;
+}
+
+/**
+ * Works every month after `month` out again from the month before it, so income, spending and
+ * assigning in an earlier month reach the months already opened after it. Each month keeps its own
+ * activity; only what it was carried changes.
+ */
+export async function rollForward(tx, budgetId, month) {
+  const months = await tx.budgetMonth.findMany({
+    where: { budgetId, month: { gte: month } },
+    orderBy: { month: 'asc' },
+    include: { categories: true }
+  });
+
+  let previous = months[0];
+  for (const current of months.slice(1)) {
+    const rollover = rolloverMonth(previous);
+    const carried = new Map(rollover.categories.map((category) => [category.masterCategoryId, category.carryover]));
+    const masterIds = new Set([...carried.keys(), ...current.categories.map((row) => row.masterCategoryId)]);
+
+    const categories = [...current.categories];
+    for (const masterCategoryId of masterIds) {
+      const carryover = carried.get(masterCategoryId) ?? 0;
+      const index = categories.findIndex((row) => row.masterCategoryId === masterCategoryId);
+      if (Number(categories[index]?.carryover ?? 0) === carryover) continue;
+
+      const row = index === -1 ? await ensureMonthCategory(tx, current.id, masterCategoryId) : categories[index];
+      const updated = await tx.category.update({ where: { id: row.id }, data: { carryover, version: null } });
+      categories.splice(index === -1 ? categories.length : index, 1, updated);
+    }
+
+    const shift = rollover.carryoverFromPrev - Number(current.carryoverFromPrev);
+    const budget = shift === 0 ? current : await tx.budgetMonth.update({
+      where: { id: current.id },
+      data: { carryoverFromPrev: rollover.carryoverFromPrev, availableToBudget: { increment: shift }, version: null }
+    });
+    previous = { ...budget, categories };
+  }
+}
+
+/**
+ * Rolls forward from the earliest month the open transaction changed, found by its rows that are
+ * still pending a version.
+ */
+export async function settleMonths(tx, budgetId) {
+  const changed = await tx.budgetMonth.findFirst({
+    where: { budgetId, OR: [{ version: null }, { categories: { some: { version: null } } }] },
+    orderBy: { month: 'asc' }
+  });
+  if (changed) await rollForward(tx, budgetId, changed.month);
+}
+
+/**
+ * Ready to Assign that is free to assign in `month`: a later month may already have assigned some
+ * of what was carried into it, so the lowest figure from `month` on is what is left.
+ */
+export async function readyToAssign(tx, budgetId, month) {
+  const months = await tx.budgetMonth.findMany({ where: { budgetId, month: { gte: month } } });
+  return Math.min(...months.map((budget) => Number(budget.availableToBudget)));
+}
+
+export const PAYMENT_GROUP = 'Credit Card Payments';
+
+export async function ensureCategoryGroup(tx, budgetId, name) {
+  return tx.categoryGroup.upsert({
+    where: { budgetId_name: { budgetId, name } },
+    create: { budgetId, name },
+    update: {}
+  });
+}
+
+/**
+ * Returns the month's row for a master category, creating it when the category is new to that month.
+ */
+export async function ensureMonthCategory(tx, budgetMonthId, masterCategoryId) {
+  return tx.category.upsert({
+    where: { budgetMonthId_masterCategoryId: { budgetMonthId, masterCategoryId } },
+    create: { budgetMonthId, masterCategoryId },
+    update: {}
+  });
+}
+
+/**
+ * Returns the month's payment category for a credit account, creating it on first use.
+ */
+export async function ensurePaymentCategory(tx, budgetMonthId, account) {
+  let master = await tx.masterCategory.findFirst({ where: { budgetId: account.budgetId, paymentAccountId: account.id } });
+  if (!master) {
+    const group = await ensureCategoryGroup(tx, account.budgetId, PAYMENT_GROUP);
+    master = await tx.masterCategory.create({
+      data: { budgetId: account.budgetId, groupId: group.id, name: account.name, paymentAccountId: account.id }
+    });
+  }
+
+  return ensureMonthCategory(tx, budgetMonthId, master.id);
+}
+
+/**
+ * Finds the row for `categoryId`'s master category in the month containing `date`, opening that
+ * month when needed.
+ */
+export async function resolveMonthCategory(tx, budgetId, categoryId, date) {
+  const category = await tx.category.findFirst({
+    where: { id: categoryId, budgetMonth: { budgetId } },
+    include: { budgetMonth: true }
+  });
+  if (!category) throw new Error('Category not found');
+
+  const month = monthOf(date);
+  if (category.budgetMonth.month.getTime() === month.getTime()) return category;
+
+  const budget = await openBudgetMonth(tx, budgetId, month);
+  return ensureMonthCategory(tx, budget.id, category.masterCategoryId);
+}
+
+/**
+ * Adds `amount` (negative to reverse) to Ready to Assign for the month containing `date`.
+ */
+export async function creditReadyToAssign(tx, budgetId, date, amount) {
+  if (!amount) return null;
+  const budget = await openBudgetMonth(tx, budgetId, monthOf(date));
+  return tx.budgetMonth.update({
+    where: { id: budget.id },
+    data: { availableToBudget: { increment: amount }, version: null }
+  });
+}
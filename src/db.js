@@ -1,3 +1,27 @@
 import { PrismaClient } from '@prisma/client';
 
 export const prisma = new PrismaClient();
+
+/**
+ * Thrown inside an interactive transaction to roll it back; `result` is what the caller answers with.
+ */
+export class Rollback extends Error {
+  constructor(result) {
+    super('Transaction rolled back');
+    this.name = 'Rollback';
+    this.result = result;
+  }
+}
+
+/**
+ * Runs `prisma.$transaction(run, options)`, answering with the result of a Rollback thrown inside
+ * it once the transaction has rolled back.
+ */
+export async function transactionOrRollback(run, options) {
+  try {
+    return await prisma.$transaction(run, options);
+  } catch (error) {
+    if (error instanceof Rollback) return error.result;
+    throw error;
+  }
+}
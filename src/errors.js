@@ -0,0 +1,25 @@
+import { ZodError } from 'zod';
+import { BUDGET_RULE_ERRORS } from './budget-engine.js';
+
+/**
+ * The response for an error the caller can fix: bad input (400), a missing reference (404) or a
+ * broken budget rule (422). Null for anything else, which is a server error.
+ */
+export function clientError(error) {
+  if (error instanceof ZodError) return { status: 400, body: { error: 'Validation failed', details: error.flatten() } };
+  if (error?.message?.includes('not found')) return { status: 404, body: { error: error.message } };
+  if (BUDGET_RULE_ERRORS.some((fragment) => error?.message?.includes(fragment))) {
+    return { status: 422, body: { error: error.message } };
+  }
+  return null;
+}
+
+/**
+ * The result a single-item request would have answered with when a handler throws; anything that is
+ * not the caller's fault is rethrown.
+ */
+export function failedResult(error) {
+  const failed = clientError(error);
+  if (!failed) throw error;
+  return failed;
+}
@@ -0,0 +1,90 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { EventEmitter } from 'node:events';
+import { settleMonths } from './budget-engine.js';
+import { stampChanges } from './sync.js';
+import { jsonReplacer } from './utils/money.js';
+
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+const activity = new AsyncLocalStorage();
+
+const toJson = (value) => JSON.parse(JSON.stringify(value, jsonReplacer));
+
+/**
+ * Runs `fn` with `context` merged into the activity that events recorded inside it are attributed
+ * to: `actorId`, the user making the change, and `undoOf` while an undo replays.
+ */
+export function withActivity(context, fn) {
+  return activity.run({ ...activity.getStore(), ...context }, fn);
+}
+
+/**
+ * Appends an event to the budget's change feed and audit log. Call it with the Prisma transaction
+ * that makes the change so the event commits, and gets its version, together with it. Months after
+ * the ones the transaction changed are rolled forward, and every row it wrote is stamped with the
+ * same version for sync.
+ * @param {{entityId?: string, before?: object}} [audit] the changed entity, when `data.id` is not
+ *   it, and its state before the change
+ * @returns {Promise<number>} the budget's new version
+ */
+export async function recordEvent(tx, budgetId, type, data, audit = {}) {
+  await settleMonths(tx, budgetId);
+  const { version } = await tx.budget.update({
+    where: { id: budgetId },
+    data: { version: { increment: 1 } },
+    select: { version: true }
+  });
+  const { actorId = null, undoOf = null } = activity.getStore() ?? {};
+  await tx.budgetEvent.create({
+    data: {
+      budgetId,
+      version,
+      type,
+      actorId,
+      entityId: audit.entityId ?? data?.id ?? null,
+      ...(audit.before ? { before: toJson(audit.before) } : {}),
+      data: toJson(data ?? null),
+      undoOf
+    }
+  });
+  await stampChanges(tx, budgetId, version);
+  return version;
+}
+
+/**
+ * Records `type` with the handler result's body when the result is a success, then passes it on.
+ */
+export async function recordOnSuccess(tx, budgetId, type, result, audit) {
+  if (result.status < 300) await recordEvent(tx, budgetId, type, result.body, audit);
+  return result;
+}
+
+/**
+ * Wakes this process's open change streams for a budget once a write has committed.
+ */
+export function notifyBudgetChanged(budgetId) {
+  changes.emit(budgetId);
+}
+
+/**
+ * Resolves `true` when the budget changes, or `false` after `timeoutMs` or once `signal` aborts.
+ * Streams re-read the feed on timeouts too, which picks up writes made by other server processes.
+ */
+export function waitForBudgetChange(budgetId, timeoutMs, signal) {
+  return new Promise((resolve) => {
+    const finish = (changed) => {
+      clearTimeout(timer);
+      changes.off(budgetId, onChange);
+      signal?.removeEventListener('abort', onAbort);
+      resolve(changed);
+    };
+    const onChange = () => finish(true);
+    const onAbort = () => finish(false);
+    const timer = setTimeout(onAbort, timeoutMs);
+
+    changes.on(budgetId, onChange);
+    signal?.addEventListener('abort', onAbort);
+    if (signal?.aborted) finish(false);
+  });
+}
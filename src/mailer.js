@@ -0,0 +1,57 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+// The console and file transports keep whole messages, live tokens included, so they are for
+// development only.
+const developmentSenders = new Set();
+
+async function sendToConsole(message) {
+  console.log(`[mail] to=${message.to} subject=${JSON.stringify(message.subject)}\n${message.text}`);
+}
+developmentSenders.add(sendToConsole);
+
+/**
+ * Mail transports take `{ to, subject, text }`. `MAILER=file` writes each message as JSON under
+ * `MAIL_DIR`; anything else prints to the console. configureMailer plugs in a real provider.
+ */
+export function createMailer(kind = process.env.MAILER) {
+  if (kind === 'file') {
+    const dir = process.env.MAIL_DIR || 'mail';
+    const send = async (message) => {
+      await mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+      await writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    };
+    developmentSenders.add(send);
+    return { send };
+  }
+
+  return { send: sendToConsole };
+}
+
+export const mailer = createMailer();
+
+/**
+ * Installs the provider named by `MAILER_MODULE`, a module whose default export sends
+ * `{ to, subject, text }`. Startup runs this before ensureMailer.
+ */
+export async function configureMailer(transport = mailer, modulePath = process.env.MAILER_MODULE) {
+  if (!modulePath) return;
+  const { default: send } = await import(pathToFileURL(path.resolve(modulePath)).href);
+  if (typeof send !== 'function') throw new Error('MAILER_MODULE must export a send function as its default export');
+  transport.send = send;
+}
+
+/**
+ * Throws when the server would print or write verification and reset tokens in production.
+ */
+export function ensureMailer(transport = mailer) {
+  if (process.env.NODE_ENV === 'production' && developmentSenders.has(transport.send)) {
+    throw new Error('MAILER_MODULE must name a real mail provider in production');
+  }
+}
+
+export function appUrl(pathname) {
+  return new URL(pathname, process.env.APP_URL || 'http://localhost:3000').toString();
+}
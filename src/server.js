@@ -1,12 +1,27 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import { ZodError } from 'zod';
 
-import { createAuthHandler, verifyJwt } from './api/auth.js';
+import { createAuthHandler, ensureJwtSecret, verifyJwt } from './api/auth.js';
 import { createAccountsHandler } from './api/accounts.js';
+import { createActivityHandler } from './api/activity.js';
+import { createBackupHandler } from './api/backup.js';
+import { budgetAccess, createBudgetsHandler } from './api/budgets.js';
 import { createCategoriesHandler } from './api/categories.js';
+import { createCategoryGroupsHandler } from './api/category-groups.js';
+import { createEventsHandler } from './api/events.js';
+import { createImportsHandler } from './api/imports.js';
+import { createIntegrityHandler } from './api/integrity.js';
+import { createPayeesHandler } from './api/payees.js';
+import { createReportsHandler } from './api/reports.js';
+import { createScheduledHandler } from './api/scheduled.js';
+import { createSettingsHandler } from './api/settings.js';
+import { createSyncHandler } from './api/sync.js';
 import { createTransactionsHandler } from './api/transactions.js';
+import { clientError } from './errors.js';
+import { notifyBudgetChanged, withActivity } from './events.js';
+import { configureMailer, ensureMailer } from './mailer.js';
+import { jsonReplacer } from './utils/money.js';
 
 function wrap(handler) {
   return async (req, res, next) => {
@@ -23,11 +38,25 @@ export function createApp() {
   const auth = createAuthHandler();
   const accounts = createAccountsHandler();
   const categories = createCategoriesHandler();
+  const categoryGroups = createCategoryGroupsHandler();
+  const settings = createSettingsHandler();
   const transactions = createTransactionsHandler();
+  const scheduled = createScheduledHandler();
+  const imports = createImportsHandler();
+  const backup = createBackupHandler();
+  const integrity = createIntegrityHandler();
+  const reports = createReportsHandler();
+  const payees = createPayeesHandler();
+  const budgets = createBudgetsHandler();
+  const events = createEventsHandler();
+  const sync = createSyncHandler();
+  const activity = createActivityHandler();
 
+  app.set('json replacer', jsonReplacer);
   app.use(helmet());
   app.use(cors());
-  app.use(express.json());
+  // Statement imports carry the file contents in the JSON body.
+  app.use(express.json({ limit: '5mb' }));
 
   app.get('/health', (_req, res) => {
     res.status(200).json({ ok: true });
@@ -43,71 +72,416 @@ export function createApp() {
     res.status(result.status).json(result.body);
   }));
 
+  app.post('/api/auth/refresh', wrap(async (req, res) => {
+    const result = await auth.refresh(req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  app.post('/api/auth/verify-email', wrap(async (req, res) => {
+    const result = await auth.verifyEmail(req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  app.post('/api/auth/forgot-password', wrap(async (req, res) => {
+    const result = await auth.forgotPassword(req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  app.post('/api/auth/reset-password', wrap(async (req, res) => {
+    const result = await auth.resetPassword(req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  // EventSource cannot send headers, so the change stream also accepts the access token in the query.
+  app.get('/api/budgets/:budgetId/events/stream', (req, _res, next) => {
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+  });
+
   app.use('/api', verifyJwt);
 
-  app.get('/api/accounts', wrap(async (req, res) => {
-    const result = await accounts.list(req.user.sub);
+  app.post('/api/auth/logout', wrap(async (req, res) => {
+    const result = await auth.logout(req.user);
+    res.status(result.status).json(result.body);
+  }));
+
+  app.post('/api/auth/logout-all', wrap(async (req, res) => {
+    const result = await auth.logoutAll(req.user);
     res.status(result.status).json(result.body);
   }));
 
-  app.post('/api/accounts', wrap(async (req, res) => {
-    const result = await accounts.create(req.user.sub, req.body);
+  app.post('/api/auth/resend-verification', wrap(async (req, res) => {
+    const result = await auth.resendVerification(req.user);
     res.status(result.status).json(result.body);
   }));
 
-  app.patch('/api/accounts/:id', wrap(async (req, res) => {
-    const result = await accounts.patch(req.user.sub, req.params.id, req.body);
+  app.post('/api/auth/change-password', wrap(async (req, res) => {
+    const result = await auth.changePassword(req.user, req.body);
     res.status(result.status).json(result.body);
   }));
 
-  app.get('/api/categories', wrap(async (req, res) => {
-    const result = await categories.list(req.user.sub, req.query.month);
+  app.delete('/api/auth/me', wrap(async (req, res) => {
+    const result = await auth.deleteAccount(req.user, req.body);
     res.status(result.status).json(result.body);
   }));
 
-  app.post('/api/categories', wrap(async (req, res) => {
-    const result = await categories.create(req.user.sub, req.query.month, req.body);
+  app.get('/api/budgets', wrap(async (req, res) => {
+    const result = await budgets.list(req.user.sub);
     res.status(result.status).json(result.body);
   }));
 
-  app.post('/api/categories/:id/assign', wrap(async (req, res) => {
-    const result = await categories.assign(req.user.sub, req.query.month, req.params.id, req.body);
+  app.post('/api/budgets', wrap(async (req, res) => {
+    const result = await budgets.create(req.user.sub, req.body);
     res.status(result.status).json(result.body);
   }));
 
-  app.get('/api/transactions', wrap(async (req, res) => {
-    const result = await transactions.list(req.user.sub, req.query);
+  app.post('/api/invites/:token/accept', wrap(async (req, res) => {
+    const result = await withActivity({ actorId: req.user.sub }, () => budgets.accept(req.user, req.params.token));
+    if (result.status === 200) notifyBudgetChanged(result.body.budgetId);
     res.status(result.status).json(result.body);
   }));
 
-  app.post('/api/transactions', wrap(async (req, res) => {
-    const result = await transactions.create(req.user.sub, req.body);
+  // Everything below works inside one budget and is authorized against the caller's membership.
+  const budgetRoutes = express.Router({ mergeParams: true });
+  app.use('/api/budgets/:budgetId', budgetAccess, budgetRoutes);
+
+  // A write has committed by the time its response goes out; wake the budget's open change streams.
+  // Events recorded while handling the request are attributed to the caller.
+  budgetRoutes.use((req, res, next) => {
+    if (req.method !== 'GET') {
+      res.on('finish', () => {
+        if (res.statusCode < 400) notifyBudgetChanged(req.budget.id);
+      });
+    }
+    withActivity({ actorId: req.user.sub }, next);
+  });
+
+  budgetRoutes.patch('/', wrap(async (req, res) => {
+    const result = await budgets.rename(req.budget, req.body);
     res.status(result.status).json(result.body);
   }));
 
-  app.patch('/api/transactions/:id', wrap(async (req, res) => {
-    const result = await transactions.patch(req.user.sub, req.params.id, req.body);
+  budgetRoutes.delete('/', wrap(async (req, res) => {
+    const result = await budgets.remove(req.budget);
     res.status(result.status).json(result.body);
   }));
 
-  app.delete('/api/transactions/:id', wrap(async (req, res) => {
-    const result = await transactions.remove(req.user.sub, req.params.id);
+  budgetRoutes.post('/duplicate', wrap(async (req, res) => {
+    const result = await budgets.duplicate(req.budget, req.user.sub, req.body);
     res.status(result.status).json(result.body);
   }));
 
-  app.use((err, _req, res, _next) => {
-    if (err instanceof ZodError) {
-      res.status(400).json({ error: 'Validation failed', details: err.flatten() });
-      return;
+  budgetRoutes.get('/members', wrap(async (req, res) => {
+    const result = await budgets.members(req.budget);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/invites', wrap(async (req, res) => {
+    const result = await budgets.invite(req.budget, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.patch('/members/:userId', wrap(async (req, res) => {
+    const result = await budgets.patchMember(req.budget, req.params.userId, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.delete('/members/:userId', wrap(async (req, res) => {
+    const result = await budgets.removeMember(req.budget, req.user.sub, req.params.userId);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/events', wrap(async (req, res) => {
+    const result = await events.list(req.budget.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/events/stream', wrap(async (req, res) => {
+    const closed = new AbortController();
+    res.on('close', () => closed.abort());
+    res.set({ 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' });
+    res.flushHeaders();
+
+    for await (const chunk of events.stream(req.budget.id, req.user, req.query, req.get('last-event-id'), closed.signal)) {
+      res.write(chunk);
     }
+    res.end();
+  }));
+
+  budgetRoutes.get('/sync', wrap(async (req, res) => {
+    const result = await sync.pull(req.budget.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/sync', wrap(async (req, res) => {
+    const result = await sync.push(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/activity', wrap(async (req, res) => {
+    const result = await activity.list(req.budget.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/activity/:id/undo', wrap(async (req, res) => {
+    const result = await activity.undo(req.budget.id, req.params.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/settings', wrap(async (req, res) => {
+    const result = await settings.get(req.budget.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.patch('/settings', wrap(async (req, res) => {
+    const result = await settings.patch(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/accounts', wrap(async (req, res) => {
+    const result = await accounts.list(req.budget.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/accounts', wrap(async (req, res) => {
+    const result = await accounts.create(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.patch('/accounts/:id', wrap(async (req, res) => {
+    const result = await accounts.patch(req.budget.id, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/accounts/:id/reconcile', wrap(async (req, res) => {
+    const result = await accounts.reconcile(req.budget.id, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/categories', wrap(async (req, res) => {
+    const result = await categories.list(req.budget.id, req.query.month, { includeHidden: req.query.includeHidden === 'true' });
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/categories', wrap(async (req, res) => {
+    const result = await categories.create(req.budget.id, req.query.month, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/categories/auto-assign', wrap(async (req, res) => {
+    const result = await categories.autoAssign(req.budget.id, req.query.month);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/categories/:id/assign', wrap(async (req, res) => {
+    const result = await categories.assign(req.budget.id, req.query.month, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/categories/:id/move', wrap(async (req, res) => {
+    const result = await categories.move(req.budget.id, req.query.month, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/categories/:id/cover', wrap(async (req, res) => {
+    const result = await categories.cover(req.budget.id, req.query.month, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.put('/categories/:id/goal', wrap(async (req, res) => {
+    const result = await categories.setGoal(req.budget.id, req.query.month, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.delete('/categories/:id/goal', wrap(async (req, res) => {
+    const result = await categories.removeGoal(req.budget.id, req.query.month, req.params.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.patch('/master-categories/:id', wrap(async (req, res) => {
+    const result = await categories.patchMaster(req.budget.id, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
 
-    if (err?.message?.includes('not found')) {
-      res.status(404).json({ error: err.message });
+  budgetRoutes.delete('/master-categories/:id', wrap(async (req, res) => {
+    const result = await categories.removeMaster(req.budget.id, req.params.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/category-groups', wrap(async (req, res) => {
+    const result = await categoryGroups.create(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.patch('/category-groups/:id', wrap(async (req, res) => {
+    const result = await categoryGroups.patch(req.budget.id, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.delete('/category-groups/:id', wrap(async (req, res) => {
+    const result = await categoryGroups.remove(req.budget.id, req.params.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/payees', wrap(async (req, res) => {
+    const result = await payees.list(req.budget.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.patch('/payees/:id', wrap(async (req, res) => {
+    const result = await payees.patch(req.budget.id, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/payees/:id/merge', wrap(async (req, res) => {
+    const result = await payees.merge(req.budget.id, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/payee-rules', wrap(async (req, res) => {
+    const result = await payees.listRules(req.budget.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/payee-rules', wrap(async (req, res) => {
+    const result = await payees.createRule(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.delete('/payee-rules/:id', wrap(async (req, res) => {
+    const result = await payees.removeRule(req.budget.id, req.params.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/transactions', wrap(async (req, res) => {
+    const result = await transactions.list(req.budget.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/transactions', wrap(async (req, res) => {
+    const result = await transactions.create(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/transactions/bulk', wrap(async (req, res) => {
+    const result = await transactions.bulk(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.patch('/transactions/:id', wrap(async (req, res) => {
+    const result = await transactions.patch(req.budget.id, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.delete('/transactions/:id', wrap(async (req, res) => {
+    const result = await transactions.remove(req.budget.id, req.params.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/imports/preview', wrap(async (req, res) => {
+    const result = await imports.preview(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/imports/commit', wrap(async (req, res) => {
+    const result = await imports.commit(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/export', wrap(async (req, res) => {
+    const format = req.query.format ?? 'json';
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      res.attachment(`ynab-like-export-${stamp}.zip`);
+      const archive = await backup.csv(req.budget.id);
+      archive.on('error', (error) => res.destroy(error));
+      archive.pipe(res);
       return;
     }
+    if (format !== 'json') {
+      res.status(400).json({ error: 'Export format must be json or csv' });
+      return;
+    }
+
+    res.attachment(`ynab-like-backup-${stamp}.json`);
+    for await (const chunk of backup.json(req.budget.id)) {
+      res.write(chunk);
+    }
+    res.end();
+  }));
+
+  budgetRoutes.post('/import/backup', wrap(async (req, res) => {
+    const result = await backup.restore(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/scheduled-transactions', wrap(async (req, res) => {
+    const result = await scheduled.list(req.budget.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/scheduled-transactions/upcoming', wrap(async (req, res) => {
+    const result = await scheduled.upcoming(req.budget.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/scheduled-transactions', wrap(async (req, res) => {
+    const result = await scheduled.create(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/scheduled-transactions/materialize', wrap(async (req, res) => {
+    const result = await scheduled.materialize(req.budget.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.patch('/scheduled-transactions/:id', wrap(async (req, res) => {
+    const result = await scheduled.patch(req.budget.id, req.params.id, req.body);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.delete('/scheduled-transactions/:id', wrap(async (req, res) => {
+    const result = await scheduled.remove(req.budget.id, req.params.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/integrity', wrap(async (req, res) => {
+    const result = await integrity.report(req.budget.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.post('/integrity/repair', wrap(async (req, res) => {
+    const result = await integrity.repair(req.budget.id);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/reports/spending', wrap(async (req, res) => {
+    const result = await reports.spending(req.budget.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/reports/income-expense', wrap(async (req, res) => {
+    const result = await reports.incomeVsExpense(req.budget.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/reports/net-worth', wrap(async (req, res) => {
+    const result = await reports.netWorth(req.budget.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
+
+  budgetRoutes.get('/reports/category-averages', wrap(async (req, res) => {
+    const result = await reports.categoryAverages(req.budget.id, req.query);
+    res.status(result.status).json(result.body);
+  }));
 
-    if (err?.message?.includes('exceeds available')) {
-      res.status(422).json({ error: err.message });
+  app.use((err, _req, res, _next) => {
+    const failed = clientError(err);
+    if (failed) {
+      res.status(failed.status).json(failed.body);
       return;
     }
 
@@ -122,18 +496,36 @@ export function createApp() {
 /**
  * curl -X POST http://localhost:3000/api/auth/register -H "content-type: application/json" -d '{"email":"demo@example.com","password":"password123"}'
  * curl -X POST http://localhost:3000/api/auth/login -H "content-type: application/json" -d '{"email":"demo@example.com","password":"password123"}'
- * curl -X GET http://localhost:3000/api/accounts -H "Authorization: Bearer <token>"
- * curl -X POST http://localhost:3000/api/accounts -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Checking","type":"checking","balance":1000}'
- * curl -X GET "http://localhost:3000/api/categories?month=2026-01" -H "Authorization: Bearer <token>"
- * curl -X POST "http://localhost:3000/api/categories?month=2026-01" -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Groceries"}'
- * curl -X POST "http://localhost:3000/api/categories/<categoryId>/assign?month=2026-01" -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"amount":250}'
- * curl -X GET "http://localhost:3000/api/transactions?page=1&limit=20" -H "Authorization: Bearer <token>"
- * curl -X POST http://localhost:3000/api/transactions -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"accountId":"<accountId>","categoryId":"<categoryId>","date":"2026-01-01T00:00:00.000Z","amount":25.5}'
- * curl -X PATCH http://localhost:3000/api/transactions/<id> -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"memo":"Updated memo"}'
- * curl -X DELETE http://localhost:3000/api/transactions/<id> -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/auth/refresh -H "content-type: application/json" -d '{"refreshToken":"<refreshToken>"}'
+ * curl -X POST http://localhost:3000/api/auth/forgot-password -H "content-type: application/json" -d '{"email":"demo@example.com"}'
+ * curl -X GET http://localhost:3000/api/budgets -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Side business"}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/invites -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"email":"partner@example.com","role":"editor"}'
+ * curl -X GET http://localhost:3000/api/budgets/<budgetId>/accounts -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/accounts -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Checking","type":"checking","balance":100000}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/accounts -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Euro savings","type":"savings","currency":"EUR","balance":50000,"exchangeRate":"1.0842"}'
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/accounts/<accountId>/reconcile -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"statementBalance":95025}'
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/categories?month=2026-01" -H "Authorization: Bearer <token>"
+ * curl -X POST "http://localhost:3000/api/budgets/<budgetId>/categories?month=2026-01" -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Groceries","group":"Everyday"}'
+ * curl -X POST "http://localhost:3000/api/budgets/<budgetId>/categories/<categoryId>/assign?month=2026-01" -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"amount":25000}'
+ * curl -X POST "http://localhost:3000/api/budgets/<budgetId>/categories/<categoryId>/move?month=2026-01" -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"toCategoryId":"<categoryId>","amount":4000}'
+ * curl -X POST "http://localhost:3000/api/budgets/<budgetId>/categories/<categoryId>/cover?month=2026-01" -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"fromCategoryId":"<categoryId>"}'
+ * curl -X PUT "http://localhost:3000/api/budgets/<budgetId>/categories/<categoryId>/goal?month=2026-01" -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"type":"monthlyFunding","amount":20000}'
+ * curl -X POST "http://localhost:3000/api/budgets/<budgetId>/categories/auto-assign?month=2026-01" -H "Authorization: Bearer <token>"
+ * curl -X PATCH http://localhost:3000/api/budgets/<budgetId>/master-categories/<masterCategoryId> -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"name":"Food","groupId":"<groupId>"}'
+ * curl -X DELETE "http://localhost:3000/api/budgets/<budgetId>/master-categories/<masterCategoryId>?reassignTo=<masterCategoryId>" -H "Authorization: Bearer <token>"
+ * curl -X GET http://localhost:3000/api/budgets/<budgetId>/payees -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/payee-rules -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"matchType":"contains","matchValue":"amzn","payee":"Amazon"}'
+ * curl -X GET "http://localhost:3000/api/budgets/<budgetId>/transactions?page=1&limit=20" -H "Authorization: Bearer <token>"
+ * curl -X POST http://localhost:3000/api/budgets/<budgetId>/transactions -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"accountId":"<accountId>","categoryId":"<categoryId>","date":"2026-01-01T00:00:00.000Z","amount":2550}'
+ * curl -X PATCH http://localhost:3000/api/budgets/<budgetId>/transactions/<id> -H "Authorization: Bearer <token>" -H "content-type: application/json" -d '{"memo":"Updated memo"}'
+ * curl -X DELETE http://localhost:3000/api/budgets/<budgetId>/transactions/<id> -H "Authorization: Bearer <token>"
  */
 
 if (process.env.NODE_ENV !== 'test') {
+  ensureJwtSecret();
+  await configureMailer();
+  ensureMailer();
   const app = createApp();
   app.listen(3000, () => {
     console.log('YNAB-like API listening on http://localhost:3000');
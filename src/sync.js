@@ -0,0 +1,54 @@
+import { settleMonths } from './budget-engine.js';
+
+/**
+ * Offline clients sync accounts, categories, months and transactions by version. A write sets the
+ * row's `version` to null; the budget version it commits with is stamped onto it by recordEvent, or
+ * by `settleChanges` for rows written outside a recorded change (months opened while reading).
+ */
+export const SYNCED_MODELS = {
+  account: (budgetId) => ({ budgetId }),
+  categoryGroup: (budgetId) => ({ budgetId }),
+  masterCategory: (budgetId) => ({ budgetId }),
+  budgetMonth: (budgetId) => ({ budgetId }),
+  category: (budgetId) => ({ budgetMonth: { budgetId } }),
+  transaction: (budgetId) => ({ account: { budgetId } })
+};
+
+const TRACKED_MODELS = { ...SYNCED_MODELS, tombstone: (budgetId) => ({ budgetId }) };
+
+/**
+ * Stamps every pending row of the budget with `version`.
+ */
+export async function stampChanges(tx, budgetId, version) {
+  for (const [model, inBudget] of Object.entries(TRACKED_MODELS)) {
+    await tx[model].updateMany({ where: { ...inBudget(budgetId), version: null }, data: { version } });
+  }
+}
+
+/**
+ * Leaves tombstones for deleted rows so clients that synced them learn they are gone.
+ */
+export async function recordDeletion(tx, budgetId, entity, entityIds) {
+  if (entityIds.length === 0) return;
+  await tx.tombstone.createMany({ data: entityIds.map((entityId) => ({ budgetId, entity, entityId })) });
+}
+
+/**
+ * Gives pending rows that no recorded change stamped a version of their own.
+ * @returns {Promise<number>} the budget's current version
+ */
+export async function settleChanges(tx, budgetId) {
+  await settleMonths(tx, budgetId);
+  let pending = 0;
+  for (const [model, inBudget] of Object.entries(TRACKED_MODELS)) {
+    pending += await tx[model].count({ where: { ...inBudget(budgetId), version: null } });
+  }
+
+  const { version } = await tx.budget.update({
+    where: { id: budgetId },
+    data: pending > 0 ? { version: { increment: 1 } } : {},
+    select: { version: true }
+  });
+  if (pending > 0) await stampChanges(tx, budgetId, version);
+  return version;
+}
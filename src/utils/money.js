@@ -0,0 +1,49 @@
+/**
+ * Money is stored and exchanged as integer minor units (cents for USD, yen for JPY) so sums stay exact.
+ */
+
+const exponents = new Map();
+
+export function currencyExponent(currency) {
+  if (!exponents.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions();
+    exponents.set(currency, maximumFractionDigits);
+  }
+  return exponents.get(currency);
+}
+
+/**
+ * Converts `amount` minor units of `from` into minor units of `to`. `rate` is how many units of `to`
+ * one unit of `from` buys; halves round away from zero so a conversion and its negation mirror each other.
+ */
+export function convertAmount(amount, rate, from, to) {
+  // The rate's decimal digits as an integer and a power of ten, so the product stays exact.
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(rate));
+  if (!match) throw new Error(`Invalid exchange rate ${rate}`);
+  const [, whole, fraction = ''] = match;
+
+  const scale = currencyExponent(to) - currencyExponent(from) - fraction.length;
+  const product = BigInt(Math.abs(amount)) * BigInt(`${whole}${fraction}`) * 10n ** BigInt(Math.max(scale, 0));
+  const divisor = 10n ** BigInt(Math.max(-scale, 0));
+  const converted = product / divisor + (2n * (product % divisor) >= divisor ? 1n : 0n);
+  return Math.sign(amount) * Number(converted);
+}
+
+/**
+ * Reads an unsigned decimal string such as "1200.50" as minor units without going through floating point.
+ */
+export function decimalToMinor(text, exponent = 2) {
+  const match = /^(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || !(match[1] || match[2])) return null;
+
+  const [, whole, fraction = ''] = match;
+  if (/[1-9]/.test(fraction.slice(exponent))) return null;
+  return Number(`${whole}${fraction.slice(0, exponent).padEnd(exponent, '0')}`);
+}
+
+/**
+ * BigInt money columns come back from Prisma as `bigint`, which JSON cannot encode.
+ */
+export function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? Number(value) : value;
+}
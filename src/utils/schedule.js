@@ -0,0 +1,83 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'yearly', 'everyNDays'];
+
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  // Clamp to the last day of the target month so a schedule on the 31st lands on Feb 28/29.
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const result = new Date(date);
+  result.setUTCFullYear(year, month, Math.min(date.getUTCDate(), lastDay));
+  return result;
+}
+
+/**
+ * Returns the `index`-th occurrence (0-based) counted from the schedule's start date.
+ * @param {{frequency:string, intervalDays?:number|null, startDate:Date|string}} schedule
+ * @param {number} index
+ */
+export function occurrenceAt(schedule, index) {
+  const start = new Date(schedule.startDate);
+  switch (schedule.frequency) {
+    case 'weekly':
+      return new Date(start.getTime() + index * 7 * DAY_MS);
+    case 'biweekly':
+      return new Date(start.getTime() + index * 14 * DAY_MS);
+    case 'everyNDays':
+      return new Date(start.getTime() + index * schedule.intervalDays * DAY_MS);
+    case 'monthly':
+      return addMonths(start, index);
+    case 'yearly':
+      return addMonths(start, index * 12);
+    default:
+      throw new Error(`Unknown frequency: ${schedule.frequency}`);
+  }
+}
+
+/**
+ * An occurrence index at or before the first occurrence on or after `date`, worked out from the
+ * calendar so callers do not walk a long-running schedule from its start.
+ */
+function indexBefore(schedule, date) {
+  const start = new Date(schedule.startDate);
+  const target = new Date(date);
+  const months = (target.getUTCFullYear() - start.getUTCFullYear()) * 12 + target.getUTCMonth() - start.getUTCMonth();
+  switch (schedule.frequency) {
+    case 'monthly':
+      return Math.max(months - 1, 0);
+    case 'yearly':
+      return Math.max(Math.floor(months / 12) - 1, 0);
+    default: {
+      const step = occurrenceAt(schedule, 1).getTime() - start.getTime();
+      return Math.max(Math.floor((target.getTime() - start.getTime()) / step), 0);
+    }
+  }
+}
+
+/**
+ * Lists occurrences within [from, to], stopping at the schedule's end date.
+ * @param {{frequency:string, intervalDays?:number|null, startDate:Date|string, endDate?:Date|string|null}} schedule
+ */
+export function occurrencesBetween(schedule, from, to) {
+  const end = schedule.endDate ? Math.min(new Date(schedule.endDate).getTime(), new Date(to).getTime()) : new Date(to).getTime();
+  const dates = [];
+  for (let index = indexBefore(schedule, from); ; index += 1) {
+    const date = occurrenceAt(schedule, index);
+    if (date.getTime() > end) break;
+    if (date.getTime() >= new Date(from).getTime()) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Returns the first occurrence on or after `date`, or null once the schedule has ended.
+ */
+export function occurrenceOnOrAfter(schedule, date) {
+  const after = new Date(date).getTime();
+  for (let index = indexBefore(schedule, date); ; index += 1) {
+    const occurrence = occurrenceAt(schedule, index);
+    if (schedule.endDate && occurrence.getTime() > new Date(schedule.endDate).getTime()) return null;
+    if (occurrence.getTime() >= after) return occurrence;
+  }
+}
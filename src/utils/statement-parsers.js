@@ -0,0 +1,184 @@
+import { decimalToMinor } from './money.js';
+
+/**
+ * Statement parsers turn bank exports into rows using this API's sign convention:
+ * positive amounts leave the account, negative amounts flow into it. Amounts come back in minor
+ * units; `exponent` is the number of decimal places of the account's currency.
+ */
+
+export const DATE_FORMATS = ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (Number.isNaN(date.getTime()) || date.getUTCMonth() !== month - 1) {
+    throw new Error(`Invalid statement date: ${year}-${month}-${day}`);
+  }
+  return date.toISOString();
+}
+
+function expandYear(year) {
+  if (year.length > 2) return Number(year);
+  return 2000 + Number(year);
+}
+
+export function parseStatementDate(value, format = 'YYYY-MM-DD') {
+  const parts = String(value).trim().split(/[-/.'\s]+/);
+  if (parts.length < 3) throw new Error(`Invalid statement date: ${value}`);
+
+  switch (format) {
+    case 'MM/DD/YYYY':
+      return toIsoDate(expandYear(parts[2]), Number(parts[0]), Number(parts[1]));
+    case 'DD/MM/YYYY':
+      return toIsoDate(expandYear(parts[2]), Number(parts[1]), Number(parts[0]));
+    default:
+      return toIsoDate(Number(parts[0]), Number(parts[1]), Number(parts[2]));
+  }
+}
+
+export function parseStatementAmount(value, exponent = 2) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return 0;
+  const negative = /^\(.*\)$/.test(raw) || raw.includes('-');
+  const amount = decimalToMinor(raw.replace(/[^0-9.]/g, ''), exponent);
+  if (amount === null) throw new Error(`Invalid statement amount: ${value}`);
+  return negative ? -amount : amount;
+}
+
+/**
+ * Splits CSV text into rows of fields, honouring quoted fields with embedded commas, quotes and newlines.
+ */
+export function splitCsv(content, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ''));
+}
+
+/**
+ * @param {string} content
+ * @param {{date:string, payee?:string, memo?:string, amount?:string, outflow?:string, inflow?:string,
+ *   dateFormat?:string, delimiter?:string, invertAmount?:boolean}} mapping
+ *   Column names from the header row. `amount` is a signed bank amount (deposits positive) unless
+ *   `invertAmount` is set; alternatively `outflow`/`inflow` name separate debit and credit columns.
+ * @param {number} [exponent]
+ */
+export function parseCsv(content, mapping, exponent = 2) {
+  const [header, ...rows] = splitCsv(content, mapping.delimiter);
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim());
+  const column = (name) => {
+    if (!name) return -1;
+    const index = columns.indexOf(name);
+    if (index === -1) throw new Error(`CSV column not found: ${name}`);
+    return index;
+  };
+  const index = {
+    date: column(mapping.date),
+    payee: column(mapping.payee),
+    memo: column(mapping.memo),
+    amount: column(mapping.amount),
+    outflow: column(mapping.outflow),
+    inflow: column(mapping.inflow)
+  };
+  if (index.amount === -1 && index.outflow === -1 && index.inflow === -1) {
+    throw new Error('CSV mapping needs an amount column or outflow/inflow columns');
+  }
+
+  return rows.map((fields) => {
+    const value = (key) => (index[key] === -1 ? undefined : fields[index[key]]?.trim());
+    let amount;
+    if (index.amount !== -1) {
+      const bankAmount = parseStatementAmount(value('amount'), exponent);
+      amount = mapping.invertAmount ? bankAmount : -bankAmount;
+    } else {
+      amount = Math.abs(parseStatementAmount(value('outflow'), exponent)) - Math.abs(parseStatementAmount(value('inflow'), exponent));
+    }
+
+    return {
+      date: parseStatementDate(value('date'), mapping.dateFormat),
+      payee: value('payee') || null,
+      memo: value('memo') || null,
+      amount
+    };
+  });
+}
+
+function ofxField(block, name) {
+  const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : undefined;
+}
+
+/**
+ * Reads STMTTRN entries from OFX 1.x (SGML) or 2.x (XML) statements.
+ */
+export function parseOfx(content, exponent = 2) {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) ?? [];
+  return blocks.map((block) => {
+    const posted = ofxField(block, 'DTPOSTED') ?? '';
+    const amount = parseStatementAmount(ofxField(block, 'TRNAMT'), exponent);
+    return {
+      date: toIsoDate(Number(posted.slice(0, 4)), Number(posted.slice(4, 6)), Number(posted.slice(6, 8))),
+      payee: ofxField(block, 'NAME') ?? ofxField(block, 'PAYEE') ?? null,
+      memo: ofxField(block, 'MEMO') ?? null,
+      amount: -amount
+    };
+  });
+}
+
+/**
+ * Reads QIF bank records (D date, T amount, P payee, M memo, ^ end of record).
+ */
+export function parseQif(content, dateFormat = 'MM/DD/YYYY', exponent = 2) {
+  const records = [];
+  let current = {};
+
+  for (const line of content.split(/\r?\n/)) {
+    const code = line[0];
+    const value = line.slice(1).trim();
+    if (code === '!') continue;
+    if (code === 'D') current.date = parseStatementDate(value, dateFormat);
+    if (code === 'T' || code === 'U') current.amount = -parseStatementAmount(value, exponent);
+    if (code === 'P') current.payee = value || null;
+    if (code === 'M') current.memo = value || null;
+    if (code === '^') {
+      if (current.date) records.push({ payee: null, memo: null, amount: 0, ...current });
+      current = {};
+    }
+  }
+
+  return records;
+}
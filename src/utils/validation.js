@@ -2,10 +2,28 @@ import { z } from 'zod';
 
 export const isoDateSchema = z.string().datetime({ offset: true });
 
-export const decimalAmountSchema = z
-  .union([z.number(), z.string()])
+/**
+ * Amounts are integer minor units of the currency: 1050 is $10.50 in a USD budget.
+ */
+export const minorAmountSchema = z
+  .union([z.number(), z.string().regex(/^-?\d+$/, 'Amount must be a whole number of minor units')])
   .transform((value) => Number(value))
-  .refine((value) => Number.isFinite(value), 'Amount must be a valid number');
+  .refine((value) => Number.isSafeInteger(value), 'Amount must be a whole number of minor units (e.g. cents)');
+
+export const currencySchema = z
+  .string()
+  .refine((value) => Intl.supportedValuesOf('currency').includes(value), 'Currency must be an ISO 4217 code such as USD');
+
+/**
+ * How many units of the budget currency one unit of the account currency buys. Kept as a string so
+ * it reaches the Decimal column exactly.
+ */
+export const exchangeRateSchema = z
+  .union([z.number(), z.string().regex(/^\d+(\.\d+)?$/, 'Exchange rate must be a decimal number')])
+  .transform((value) => String(value))
+  // Numbers such as 1e-7 stringify in exponent form, which conversions cannot read.
+  .refine((value) => /^\d+(\.\d+)?$/.test(value), 'Exchange rate must be a decimal number')
+  .refine((value) => Number(value) > 0 && Number.isFinite(Number(value)), 'Exchange rate must be > 0');
 
 export const paginationSchema = z.object({
   page: z.coerce.number().int().min(1).default(1),
@@ -20,3 +38,8 @@ export function parseMonth(monthString) {
   const parsed = monthSchema.parse(monthString);
   return new Date(`${parsed}-01T00:00:00.000Z`);
 }
+
+export function monthOf(date) {
+  const value = new Date(date);
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), 1));
+}
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('reconciling posts a balance adjustment and locks cleared transactions', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'reconcile@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'reconcile@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 500, date: '2026-03-01T00:00:00.000Z' });
+  const category = await request(app).post(`${base}/categories?month=2026-03`).set(auth).send({ name: 'Household' });
+  await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: category.body.id, date: '2026-03-05T00:00:00.000Z', amount: 40 });
+
+  const uncategorized = await request(app).post(`${base}/accounts/${account.body.id}/reconcile`).set(auth).send({ statementBalance: 490 });
+  assert.equal(uncategorized.status, 400);
+
+  const reconciled = await request(app)
+    .post(`${base}/accounts/${account.body.id}/reconcile`)
+    .set(auth)
+    .send({ statementBalance: 490, date: '2026-03-15T00:00:00.000Z', categoryId: category.body.id });
+  assert.equal(reconciled.status, 200);
+  assert.equal(reconciled.body.clearedBalance, 500);
+  assert.equal(reconciled.body.adjustment.amount, 10);
+  assert.equal(reconciled.body.reconciledCount, 2);
+  assert.equal(state.categories[0].spent, 50);
+
+  const listed = await request(app).get(`${base}/accounts`).set(auth);
+  assert.deepEqual(
+    [listed.body[0].clearedBalance, listed.body[0].unclearedBalance, listed.body[0].workingBalance],
+    [490, -40, 450]
+  );
+
+  const openingBalance = state.transactions[0];
+  const locked = await request(app).patch(`${base}/transactions/${openingBalance.id}`).set(auth).send({ amount: -600 });
+  assert.equal(locked.status, 409);
+  const memo = await request(app).patch(`${base}/transactions/${openingBalance.id}`).set(auth).send({ memo: 'Opening' });
+  assert.equal(memo.status, 200);
+  const removed = await request(app).delete(`${base}/transactions/${openingBalance.id}`).set(auth);
+  assert.equal(removed.status, 409);
+
+  // Found money is income for Ready to Assign, never a category's.
+  const statement = { statementBalance: 520, date: '2026-03-20T00:00:00.000Z' };
+  const categorized = await request(app).post(`${base}/accounts/${account.body.id}/reconcile`).set(auth).send({ ...statement, categoryId: category.body.id });
+  assert.equal(categorized.status, 400);
+  const ready = state.budgets[0].availableToBudget;
+  const found = await request(app).post(`${base}/accounts/${account.body.id}/reconcile`).set(auth).send(statement);
+  assert.equal(found.status, 200);
+  assert.deepEqual([found.body.adjustment.amount, found.body.adjustment.categoryId], [-30, null]);
+  assert.equal(state.budgets[0].availableToBudget, ready + 30);
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { prisma } from '../src/db.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('the activity log records who changed what and undoes changes through the budget rules', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'audit@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'audit@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 100000, date: '2026-04-01T00:00:00.000Z' });
+  const category = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Food' });
+  await request(app).post(`${base}/categories/${category.body.id}/assign?month=2026-04`).set(auth).send({ amount: 30000 });
+  const lunch = await request(app).post(`${base}/transactions`).set(auth).send({
+    accountId: account.body.id, categoryId: category.body.id, date: '2026-04-02T00:00:00.000Z', amount: 1250, memo: 'Lunch'
+  });
+  await request(app).patch(`${base}/transactions/${lunch.body.id}`).set(auth).send({ memo: 'Team lunch' });
+  await request(app).delete(`${base}/transactions/${lunch.body.id}`).set(auth);
+
+  const log = await request(app).get(`${base}/activity?limit=3`).set(auth);
+  assert.equal(log.status, 200);
+  assert.equal(log.body.total, 6);
+  assert.deepEqual(log.body.items.map((item) => item.type), ['transaction.deleted', 'transaction.updated', 'transaction.created']);
+  const [deleted, updated] = log.body.items;
+  assert.equal(deleted.actor.email, 'audit@example.com');
+  assert.equal(deleted.entityId, lunch.body.id);
+  assert.deepEqual([deleted.before.memo, deleted.before.amount], ['Team lunch', 1250]);
+  assert.deepEqual([updated.before.memo, updated.after.memo], ['Lunch', 'Team lunch']);
+
+  const restored = await request(app).post(`${base}/activity/${deleted.id}/undo`).set(auth);
+  assert.equal(restored.status, 201);
+  assert.deepEqual([restored.body.amount, restored.body.memo, restored.body.categoryId], [1250, 'Team lunch', category.body.id]);
+  assert.equal((await request(app).post(`${base}/activity/${deleted.id}/undo`).set(auth)).status, 409);
+  // The transaction was deleted after this edit, so restoring the edit would clobber later history.
+  assert.equal((await request(app).post(`${base}/activity/${updated.id}/undo`).set(auth)).status, 409);
+
+  await request(app).post(`${base}/categories/${category.body.id}/assign?month=2026-04`).set(auth).send({ amount: 5000 });
+  const assignments = await request(app).get(`${base}/activity?type=category.assigned&entityId=${category.body.id}`).set(auth);
+  assert.equal(assignments.body.items.length, 2);
+  const [extra, initial] = assignments.body.items;
+  const unassigned = await request(app).post(`${base}/activity/${extra.id}/undo`).set(auth);
+  assert.equal(unassigned.status, 200);
+  assert.deepEqual([unassigned.body.from.assigned, unassigned.body.budgetMonth.availableToBudget], [30000, 70000]);
+
+  // Food has spent 1250 again, so only 28750 of the first 30000 can go back to Ready to Assign.
+  const blocked = await request(app).post(`${base}/activity/${initial.id}/undo`).set(auth);
+  assert.equal(blocked.status, 422);
+  assert.match(blocked.body.error, /Insufficient/);
+
+  const created = await request(app).get(`${base}/activity?type=account.created`).set(auth);
+  assert.equal(created.body.items[0].undoable, false);
+  assert.equal((await request(app).post(`${base}/activity/${created.body.items[0].id}/undo`).set(auth)).status, 400);
+
+  const feed = await request(app).get(`${base}/activity?limit=2`).set(auth);
+  assert.deepEqual(feed.body.items.map((item) => [item.type, item.undoOf]), [['category.moved', extra.id], ['category.assigned', null]]);
+  const history = await request(app).get(`${base}/activity?entityId=${lunch.body.id}`).set(auth);
+  assert.deepEqual(history.body.items.map((item) => [item.type, Boolean(item.undoneBy), item.undoable]), [
+    ['transaction.deleted', true, false],
+    ['transaction.updated', false, true],
+    ['transaction.created', false, true]
+  ]);
+
+  // Two undos can both find the change not undone yet; the one committing second is refused.
+  await request(app).post(`${base}/categories/${category.body.id}/assign?month=2026-04`).set(auth).send({ amount: 2000 });
+  const [topUp] = (await request(app).get(`${base}/activity?limit=1`).set(auth)).body.items;
+  const findFirst = prisma.budgetEvent.findFirst;
+  let release;
+  const bothChecked = new Promise((resolve) => { release = resolve; });
+  let firstUndo;
+  let checks = 0;
+  prisma.budgetEvent.findFirst = async (args) => {
+    const found = await findFirst(args);
+    if (args.where.undoOf === undefined) return found;
+    checks += 1;
+    if (checks === 1) await bothChecked;
+    else {
+      release();
+      await firstUndo;
+    }
+    return found;
+  };
+  const undoTopUp = () => request(app).post(`${base}/activity/${topUp.id}/undo`).set(auth).then((response) => response);
+  firstUndo = undoTopUp();
+  const racing = await Promise.all([firstUndo, undoTopUp()]);
+  prisma.budgetEvent.findFirst = findFirst;
+  assert.deepEqual(racing.map((response) => response.status), [200, 409]);
+  assert.equal(racing[1].body.error, 'This change was already undone');
+  assert.equal(state.categories.find((c) => c.id === category.body.id).assigned, 30000);
+});
@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import request from 'supertest';
+
+import { ensureJwtSecret } from '../src/api/auth.js';
+import { createApp } from '../src/server.js';
+import { configureMailer, createMailer, ensureMailer, mailer } from '../src/mailer.js';
+import { buildMockPrisma, budgetBase, outbox } from './helpers/mock-prisma.js';
+
+test('refresh tokens rotate and logout revokes sessions', async () => {
+  buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'sessions@example.com', password: 'password123' });
+  const phone = await request(app).post('/api/auth/login').send({ email: 'sessions@example.com', password: 'password123' });
+  const laptop = await request(app).post('/api/auth/login').send({ email: 'sessions@example.com', password: 'password123' });
+  assert.ok(phone.body.refreshToken);
+
+  const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: phone.body.refreshToken });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refreshToken, phone.body.refreshToken);
+  const phoneAuth = { Authorization: `Bearer ${refreshed.body.token}` };
+  assert.equal((await request(app).get('/api/budgets').set(phoneAuth)).status, 200);
+
+  // Presenting the rotated-out token again means it leaked, so the session it belonged to ends.
+  const replayed = await request(app).post('/api/auth/refresh').send({ refreshToken: phone.body.refreshToken });
+  assert.equal(replayed.status, 401);
+  assert.equal((await request(app).get('/api/budgets').set(phoneAuth)).status, 401);
+  const afterReplay = await request(app).post('/api/auth/refresh').send({ refreshToken: refreshed.body.refreshToken });
+  assert.equal(afterReplay.status, 401);
+
+  const tablet = await request(app).post('/api/auth/login').send({ email: 'sessions@example.com', password: 'password123' });
+  const tabletAuth = { Authorization: `Bearer ${tablet.body.token}` };
+  const laptopAuth = { Authorization: `Bearer ${laptop.body.token}` };
+  await request(app).post('/api/auth/logout').set(tabletAuth);
+  assert.equal((await request(app).get('/api/budgets').set(tabletAuth)).status, 401);
+  assert.equal((await request(app).get('/api/budgets').set(laptopAuth)).status, 200);
+  const revokedRefresh = await request(app).post('/api/auth/refresh').send({ refreshToken: tablet.body.refreshToken });
+  assert.equal(revokedRefresh.status, 401);
+
+  const all = await request(app).post('/api/auth/logout-all').set(laptopAuth);
+  assert.equal(all.body.revoked, 1);
+  assert.equal((await request(app).get('/api/budgets').set(laptopAuth)).status, 401);
+  const lateRefresh = await request(app).post('/api/auth/refresh').send({ refreshToken: laptop.body.refreshToken });
+  assert.equal(lateRefresh.status, 401);
+
+  const { NODE_ENV, JWT_SECRET } = process.env;
+  process.env.NODE_ENV = 'production';
+  delete process.env.JWT_SECRET;
+  assert.throws(ensureJwtSecret, /JWT_SECRET must be set/);
+  process.env.NODE_ENV = NODE_ENV;
+  if (JWT_SECRET !== undefined) process.env.JWT_SECRET = JWT_SECRET;
+});
+
+test('email verification, password reset and change, and account deletion', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+  const lastToken = (email) => outbox.findLast((message) => message.to === email).text.match(/token: (\w+)/)[1];
+
+  const register = await request(app).post('/api/auth/register').send({ email: 'reset@example.com', password: 'password123' });
+  assert.equal(register.body.emailVerifiedAt, null);
+  const verified = await request(app).post('/api/auth/verify-email').send({ token: lastToken('reset@example.com') });
+  assert.equal(verified.status, 200);
+  assert.ok(state.users[0].emailVerifiedAt);
+  const reused = await request(app).post('/api/auth/verify-email').send({ token: lastToken('reset@example.com') });
+  assert.equal(reused.status, 400);
+
+  const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+  assert.equal(unknown.status, 202);
+  const before = await request(app).post('/api/auth/login').send({ email: 'reset@example.com', password: 'password123' });
+  await request(app).post('/api/auth/forgot-password').send({ email: 'reset@example.com' });
+  const resetToken = lastToken('reset@example.com');
+  const reset = await request(app).post('/api/auth/reset-password').send({ token: resetToken, password: 'brand-new-pass' });
+  assert.equal(reset.status, 200);
+  const replay = await request(app).post('/api/auth/reset-password').send({ token: resetToken, password: 'another-pass' });
+  assert.equal(replay.status, 400);
+  assert.equal((await request(app).get('/api/budgets').set({ Authorization: `Bearer ${before.body.token}` })).status, 401);
+  const oldPassword = await request(app).post('/api/auth/login').send({ email: 'reset@example.com', password: 'password123' });
+  assert.equal(oldPassword.status, 401);
+
+  const login = await request(app).post('/api/auth/login').send({ email: 'reset@example.com', password: 'brand-new-pass' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const wrong = await request(app).post('/api/auth/change-password').set(auth).send({ currentPassword: 'nope', newPassword: 'third-password' });
+  assert.equal(wrong.status, 403);
+  const changed = await request(app).post('/api/auth/change-password').set(auth).send({ currentPassword: 'brand-new-pass', newPassword: 'third-password' });
+  assert.equal(changed.status, 200);
+  assert.equal((await request(app).get('/api/budgets').set(auth)).status, 200);
+
+  await request(app).post('/api/auth/register').send({ email: 'partner2@example.com', password: 'password123' });
+  const partnerLogin = await request(app).post('/api/auth/login').send({ email: 'partner2@example.com', password: 'password123' });
+  const partner = { Authorization: `Bearer ${partnerLogin.body.token}` };
+  const partnerBase = await budgetBase(app, partner);
+  await request(app).post(`${partnerBase}/invites`).set(partner).send({ email: 'reset@example.com', role: 'editor' });
+  await request(app).post(`/api/invites/${outbox.at(-1).text.match(/invites\/(\w+)\/accept/)[1]}/accept`).set(auth);
+
+  const base = await budgetBase(app, auth);
+  await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Mine', type: 'checking', balance: 10 });
+  const refused = await request(app).delete('/api/auth/me').set(auth).send({ password: 'wrong' });
+  assert.equal(refused.status, 403);
+  const deleted = await request(app).delete('/api/auth/me').set(auth).send({ password: 'third-password' });
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(state.users.map((user) => user.email), ['partner2@example.com']);
+  assert.deepEqual(state.accounts, []);
+  assert.deepEqual(state.budgetRows.map((budget) => budget.id), [partnerBase.split('/').at(-1)]);
+  assert.deepEqual(state.members.map((member) => member.userId), [state.users[0].id]);
+  assert.equal((await request(app).get('/api/budgets').set(auth)).status, 401);
+
+  // The console and file mailers would keep live verification and reset tokens; production needs a provider.
+  const provider = path.join(await mkdtemp(path.join(tmpdir(), 'mailer-')), 'provider.mjs');
+  await writeFile(provider, 'export default async function send(message) { globalThis.providerOutbox = [message]; }\n');
+  const configured = createMailer('console');
+  await configureMailer(configured, provider);
+  await configured.send({ to: 'ops@example.com', subject: 'Hi', text: 'Hello' });
+  assert.equal(globalThis.providerOutbox[0].to, 'ops@example.com');
+
+  const { NODE_ENV } = process.env;
+  process.env.NODE_ENV = 'production';
+  assert.throws(() => ensureMailer(createMailer('console')), /MAILER_MODULE must name a real mail provider/);
+  assert.throws(() => ensureMailer(createMailer('file')), /MAILER_MODULE must name a real mail provider/);
+  assert.doesNotThrow(() => ensureMailer(configured));
+  process.env.NODE_ENV = NODE_ENV;
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { prisma } from '../src/db.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('a JSON export restores into an empty user with remapped references', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'backup@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'backup@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 200, date: '2026-09-01T00:00:00.000Z' });
+  const category = await request(app).post(`${base}/categories?month=2026-09`).set(auth).send({ name: 'Fuel' });
+  await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: category.body.id, payee: 'Fuel Stop', date: '2026-09-02T00:00:00.000Z', amount: 35 });
+
+  // Both formats read the budget from one repeatable-read snapshot.
+  const $transaction = prisma.$transaction;
+  const isolationLevels = [];
+  prisma.$transaction = (arg, options) => {
+    if (options?.isolationLevel) isolationLevels.push(options.isolationLevel);
+    return $transaction(arg, options);
+  };
+  const exported = await request(app).get(`${base}/export?format=json`).set(auth);
+  const zipped = await request(app).get(`${base}/export?format=csv`).set(auth);
+  prisma.$transaction = $transaction;
+  assert.equal(exported.status, 200);
+  assert.equal(exported.body.version, 3);
+  assert.equal(exported.body.transactions.length, 2);
+  assert.deepEqual([zipped.status, zipped.headers['content-type']], [200, 'application/zip']);
+  assert.deepEqual(isolationLevels, ['RepeatableRead', 'RepeatableRead']);
+
+  const notEmpty = await request(app).post(`${base}/import/backup`).set(auth).send(exported.body);
+  assert.equal(notEmpty.status, 409);
+
+  await request(app).post('/api/auth/register').send({ email: 'restore@example.com', password: 'password123' });
+  const restoreLogin = await request(app).post('/api/auth/login').send({ email: 'restore@example.com', password: 'password123' });
+  const restoreAuth = { Authorization: `Bearer ${restoreLogin.body.token}` };
+  const restored = await request(app)
+    .post(`${await budgetBase(app, restoreAuth)}/import/backup`)
+    .set(restoreAuth)
+    .send(JSON.parse(JSON.stringify(exported.body)));
+  assert.equal(restored.status, 201);
+  assert.deepEqual(restored.body.restored, {
+    accounts: 1,
+    categoryGroups: 1,
+    masterCategories: 1,
+    payees: 1,
+    payeeRules: 0,
+    budgetMonths: 1,
+    categories: 1,
+    transactions: 2,
+    transactionSplits: 0,
+    scheduledTransactions: 0
+  });
+
+  const copy = state.transactions.at(-1);
+  assert.notEqual(copy.id, state.transactions[1].id);
+  assert.equal(copy.categoryId, state.categories.at(-1).id);
+  assert.equal(copy.payeeId, state.payees.at(-1).id);
+  assert.equal(state.accounts.at(-1).budgetId, 'bg2');
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { assignMoney, coverOverspending, incomeAmount, moveMoney, rolloverMonth } from '../src/budget-engine.js';
+
+test('assignMoney subtracts from availableToBudget', () => {
+  assert.deepEqual(assignMoney({ availableToBudget: 100, assigned: 40 }), { assigned: 40, availableToBudget: 60 });
+});
+
+test('incomeAmount treats uncategorized inflows as income', () => {
+  assert.equal(incomeAmount(null, -250), 250);
+  assert.equal(incomeAmount('c1', -250), 0);
+  assert.equal(incomeAmount(null, 40), 0);
+});
+
+test('rolloverMonth carries positive balances and charges overspending to Ready to Assign', () => {
+  const result = rolloverMonth({
+    availableToBudget: 200,
+    categories: [
+      { name: 'Groceries', carryover: 10, assigned: 100, spent: 60 },
+      { name: 'Dining', carryover: 0, assigned: 50, spent: 80 }
+    ]
+  });
+  assert.equal(result.carryoverFromPrev, 170);
+  assert.deepEqual(result.categories.map((c) => c.carryover), [50, 0]);
+});
+
+test('moveMoney and coverOverspending enforce available category funds', () => {
+  assert.deepEqual(moveMoney({ available: 50, amount: 20 }), { amount: 20, available: 30 });
+  assert.throws(() => moveMoney({ available: 10, amount: 20 }), /Insufficient category funds/);
+  assert.deepEqual(coverOverspending({ available: -15, sourceAvailable: 40 }), { amount: 15, available: 0, sourceAvailable: 25 });
+  assert.throws(() => coverOverspending({ available: 5, sourceAvailable: 40 }), /not overspent/);
+});
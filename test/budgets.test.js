@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { buildMockPrisma, budgetBase, outbox } from './helpers/mock-prisma.js';
+
+test('shared budgets authorize members by role and accept invites by email', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  const signIn = async (email) => {
+    await request(app).post('/api/auth/register').send({ email, password: 'password123' });
+    const login = await request(app).post('/api/auth/login').send({ email, password: 'password123' });
+    return { Authorization: `Bearer ${login.body.token}` };
+  };
+  const verify = (email) => {
+    const mail = outbox.findLast((message) => message.to === email && message.subject === 'Verify your email address');
+    const token = mail.text.match(/token: (\w+)/)[1];
+    return request(app).post('/api/auth/verify-email').send({ token });
+  };
+  const owner = await signIn('owner@example.com');
+  const partner = await signIn('partner@example.com');
+  const guest = await signIn('guest@example.com');
+
+  const [household] = (await request(app).get('/api/budgets').set(owner)).body;
+  assert.deepEqual([household.name, household.role], ['My Budget', 'owner']);
+  const base = `/api/budgets/${household.id}`;
+  const account = await request(app).post(`${base}/accounts`).set(owner).send({ name: 'Joint', type: 'checking', balance: 300 });
+
+  const outsider = await request(app).get(`${base}/accounts`).set(partner);
+  assert.equal(outsider.status, 404);
+
+  const editorInvite = await request(app).post(`${base}/invites`).set(owner).send({ email: 'partner@example.com', role: 'editor' });
+  const viewerInvite = await request(app).post(`${base}/invites`).set(owner).send({ email: 'guest@example.com', role: 'viewer' });
+  assert.equal(editorInvite.status, 201);
+  const stolen = await request(app).post(`/api/invites/${editorInvite.body.token}/accept`).set(guest);
+  assert.equal(stolen.status, 403);
+  // Anyone can register an address, so an invite waits until its address is verified.
+  const unverified = await request(app).post(`/api/invites/${editorInvite.body.token}/accept`).set(partner);
+  assert.deepEqual([unverified.status, unverified.body.error], [403, 'Verify your email address before accepting invites']);
+  await verify('partner@example.com');
+  await verify('guest@example.com');
+  await request(app).post(`/api/invites/${editorInvite.body.token}/accept`).set(partner);
+  await request(app).post(`/api/invites/${viewerInvite.body.token}/accept`).set(guest);
+
+  // Only committed invites are mailed.
+  const sent = outbox.length;
+  const again = await request(app).post(`${base}/invites`).set(owner).send({ email: 'partner@example.com', role: 'viewer' });
+  assert.equal(again.status, 409);
+  assert.equal(outbox.length, sent);
+  assert.ok(outbox.some((message) => message.to === 'guest@example.com' && message.text.includes(viewerInvite.body.token)));
+
+  const shared = await request(app).get(`${base}/accounts`).set(partner);
+  assert.deepEqual(shared.body.map((row) => row.id), [account.body.id]);
+  const posted = await request(app)
+    .post(`${base}/transactions`)
+    .set(partner)
+    .send({ accountId: account.body.id, date: '2026-10-02T00:00:00.000Z', amount: 20 });
+  assert.equal(posted.status, 201);
+
+  const readOnly = await request(app).get(`${base}/accounts`).set(guest);
+  assert.equal(readOnly.status, 200);
+  const blocked = await request(app)
+    .post(`${base}/transactions`)
+    .set(guest)
+    .send({ accountId: account.body.id, date: '2026-10-02T00:00:00.000Z', amount: 5 });
+  assert.equal(blocked.status, 403);
+  const notOwner = await request(app).post(`${base}/invites`).set(partner).send({ email: 'x@example.com', role: 'editor' });
+  assert.equal(notOwner.status, 403);
+
+  const roster = await request(app).get(`${base}/members`).set(owner);
+  assert.deepEqual(roster.body.members.map((member) => [member.email, member.role]), [
+    ['owner@example.com', 'owner'],
+    ['partner@example.com', 'editor'],
+    ['guest@example.com', 'viewer']
+  ]);
+  const lastOwner = await request(app).delete(`${base}/members/${state.members[0].userId}`).set(owner);
+  assert.equal(lastOwner.status, 400);
+});
+
+test('users create, rename, duplicate and delete separate budgets', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'many@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'many@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 500, date: '2026-03-01T00:00:00.000Z' });
+  const rent = await request(app).post(`${base}/categories?month=2026-03`).set(auth).send({ name: 'Rent' });
+  await request(app).post(`${base}/categories/${rent.body.id}/assign?month=2026-03`).set(auth).send({ amount: 400 });
+  await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: rent.body.id, date: '2026-03-02T00:00:00.000Z', amount: 400 });
+
+  const business = await request(app).post('/api/budgets').set(auth).send({ name: 'Side business' });
+  assert.equal(business.status, 201);
+  const empty = await request(app).get(`/api/budgets/${business.body.id}/accounts`).set(auth);
+  assert.deepEqual(empty.body, []);
+  const renamed = await request(app).patch(`/api/budgets/${business.body.id}`).set(auth).send({ name: 'Consulting' });
+  assert.equal(renamed.body.name, 'Consulting');
+
+  const sandbox = await request(app).post(`${base}/duplicate`).set(auth).send({ name: 'What-if' });
+  assert.equal(sandbox.status, 201);
+  const sandboxBase = `/api/budgets/${sandbox.body.id}`;
+  const copied = await request(app).get(`${sandboxBase}/accounts`).set(auth);
+  assert.equal(copied.body.length, 1);
+  assert.notEqual(copied.body[0].id, account.body.id);
+  assert.equal(copied.body[0].balance, 100);
+  const copiedTree = await request(app).get(`${sandboxBase}/categories?month=2026-03`).set(auth);
+  assert.deepEqual(copiedTree.body[0].categories.map((c) => [c.name, c.assigned, c.spent]), [['Rent', 400, 400]]);
+
+  await request(app).post(`${sandboxBase}/transactions`).set(auth).send({ accountId: copied.body[0].id, date: '2026-03-05T00:00:00.000Z', amount: 50 });
+  assert.equal(state.accounts.find((a) => a.id === account.body.id).balance, 100);
+
+  const listed = await request(app).get('/api/budgets').set(auth);
+  assert.deepEqual(listed.body.map((budget) => budget.name), ['My Budget', 'Consulting', 'What-if']);
+
+  const removed = await request(app).delete(sandboxBase).set(auth);
+  assert.equal(removed.status, 200);
+  assert.equal(state.accounts.some((a) => a.budgetId === sandbox.body.id), false);
+  assert.equal(state.transactions.filter((t) => t.accountId === account.body.id).length, 2);
+  const gone = await request(app).get(`${sandboxBase}/accounts`).set(auth);
+  assert.equal(gone.status, 404);
+});
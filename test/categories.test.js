@@ -0,0 +1,205 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('months open in order and later changes to an earlier month roll forward', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'rollover@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'rollover@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 500, date: '2026-01-02T00:00:00.000Z' });
+  const category = await request(app).post(`${base}/categories?month=2026-01`).set(auth).send({ name: 'Rent', group: 'Bills' });
+  await request(app).post(`${base}/categories/${category.body.id}/assign?month=2026-01`).set(auth).send({ amount: 300 });
+
+  // Viewing a later month shows what it would open with but does not open it.
+  const february = await request(app).get(`${base}/categories?month=2026-02`).set(auth);
+  assert.equal(february.status, 200);
+  assert.deepEqual(february.body.map((group) => group.name), ['Bills']);
+  assert.equal(february.body[0].categories[0].name, 'Rent');
+  assert.equal(february.body[0].categories[0].carryover, 300);
+  assert.equal(state.budgets.length, 1);
+
+  // Assigning in March opens February on the way, each month from the one right before it.
+  const opened = await request(app).post(`${base}/categories/${february.body[0].categories[0].id}/assign?month=2026-03`).set(auth).send({ amount: 0 });
+  assert.equal(opened.status, 200);
+  const months = () => state.budgets.map((month) => [month.month.toISOString().slice(0, 7), month.carryoverFromPrev, month.availableToBudget]);
+  assert.deepEqual(months(), [['2026-01', 0, 200], ['2026-02', 200, 200], ['2026-03', 200, 200]]);
+
+  // Spending February's rent leaves nothing to carry into March.
+  const rent = (await request(app).get(`${base}/categories?month=2026-02`).set(auth)).body[0].categories[0];
+  await request(app).post(`${base}/transactions`).set(auth).send({ accountId: account.body.id, categoryId: rent.id, date: '2026-02-03T00:00:00.000Z', amount: 300 });
+  const march = await request(app).get(`${base}/categories?month=2026-03`).set(auth);
+  assert.deepEqual([march.body[0].categories[0].carryover, march.body[0].categories[0].available], [0, 0]);
+
+  // A paycheck dated in January reaches the months already opened after it.
+  await request(app).post(`${base}/transactions`).set(auth).send({ accountId: account.body.id, date: '2026-01-20T00:00:00.000Z', amount: -1000 });
+  assert.deepEqual(months(), [['2026-01', 0, 1200], ['2026-02', 1200, 1200], ['2026-03', 1200, 1200]]);
+  const assigned = await request(app).post(`${base}/categories/${rent.id}/assign?month=2026-02`).set(auth).send({ amount: 1000 });
+  assert.equal(assigned.status, 200);
+  assert.deepEqual(months(), [['2026-01', 0, 1200], ['2026-02', 1200, 200], ['2026-03', 200, 200]]);
+
+  // February already assigned most of it, so January cannot assign it again.
+  const twice = await request(app).post(`${base}/categories/${category.body.id}/assign?month=2026-01`).set(auth).send({ amount: 300 });
+  assert.equal(twice.status, 422);
+});
+
+test('money moves between categories and back to Ready to Assign', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'move@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'move@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 300, date: '2026-03-01T00:00:00.000Z' });
+  const dining = await request(app).post(`${base}/categories?month=2026-03`).set(auth).send({ name: 'Dining' });
+  const groceries = await request(app).post(`${base}/categories?month=2026-03`).set(auth).send({ name: 'Groceries' });
+  await request(app).post(`${base}/categories/${dining.body.id}/assign?month=2026-03`).set(auth).send({ amount: 100 });
+
+  const moved = await request(app)
+    .post(`${base}/categories/${dining.body.id}/move?month=2026-03`)
+    .set(auth)
+    .send({ toCategoryId: groceries.body.id, amount: 60 });
+  assert.equal(moved.status, 200);
+  assert.equal(state.categories[0].assigned, 40);
+  assert.equal(state.categories[1].assigned, 60);
+
+  const returned = await request(app).post(`${base}/categories/${groceries.body.id}/move?month=2026-03`).set(auth).send({ amount: 10 });
+  assert.equal(returned.status, 200);
+  assert.equal(state.budgets[0].availableToBudget, 210);
+
+  const tooMuch = await request(app).post(`${base}/categories/${dining.body.id}/move?month=2026-03`).set(auth).send({ amount: 500 });
+  assert.equal(tooMuch.status, 422);
+});
+
+test('overspending is flagged by default and rejected in strict mode', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'overspend@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'overspend@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 100, date: '2026-04-01T00:00:00.000Z' });
+  const dining = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Dining' });
+  await request(app).post(`${base}/categories/${dining.body.id}/assign?month=2026-04`).set(auth).send({ amount: 30 });
+
+  const dinner = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: dining.body.id, date: '2026-04-03T00:00:00.000Z', amount: 45 });
+  assert.equal(dinner.status, 201);
+
+  const listed = await request(app).get(`${base}/categories?month=2026-04`).set(auth);
+  assert.equal(listed.body[0].categories[0].available, -15);
+  assert.equal(listed.body[0].categories[0].overspent, true);
+
+  const strict = await request(app).patch(`${base}/settings`).set(auth).send({ strictOverspending: true });
+  assert.deepEqual(strict.body, { strictOverspending: true });
+
+  const rejected = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: dining.body.id, date: '2026-04-04T00:00:00.000Z', amount: 5 });
+  assert.equal(rejected.status, 422);
+  assert.equal(state.categories[0].spent, 45);
+});
+
+test('goals report underfunded amounts and auto-assign funds them in priority order', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'goals@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'goals@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 500, date: '2026-05-01T00:00:00.000Z' });
+  const goals = [
+    ['Groceries', { type: 'weeklyFunding', amount: 50, date: '2026-05-04T00:00:00.000Z', priority: 2 }],
+    ['Vacation', { type: 'targetBalanceByDate', amount: 1200, date: '2026-10-15T00:00:00.000Z', priority: 1 }],
+    ['Rent', { type: 'monthlyFunding', amount: 300 }]
+  ];
+  for (const [name, goal] of goals) {
+    const category = await request(app).post(`${base}/categories?month=2026-05`).set(auth).send({ name });
+    const saved = await request(app).put(`${base}/categories/${category.body.id}/goal?month=2026-05`).set(auth).send(goal);
+    assert.equal(saved.status, 200);
+  }
+
+  const before = await request(app).get(`${base}/categories?month=2026-05`).set(auth);
+  const goalsOf = (response, field) => response.body.flatMap((group) => group.categories).map((c) => [c.name, c.goal[field]]);
+  assert.deepEqual(goalsOf(before, 'underfunded'), [['Groceries', 200], ['Rent', 300], ['Vacation', 200]]);
+
+  const funded = await request(app).post(`${base}/categories/auto-assign?month=2026-05`).set(auth);
+  assert.equal(funded.status, 200);
+  assert.deepEqual(funded.body.categories.map((c) => [c.name, c.funded]), [['Rent', 300], ['Vacation', 200]]);
+  assert.equal(state.budgets[0].availableToBudget, 0);
+
+  const after = await request(app).get(`${base}/categories?month=2026-05`).set(auth);
+  assert.deepEqual(goalsOf(after, 'progress'), [['Groceries', 0], ['Rent', 1], ['Vacation', 1]]);
+
+  const rent = after.body.flatMap((group) => group.categories).find((c) => c.name === 'Rent');
+  const raised = await request(app).put(`${base}/categories/${rent.id}/goal?month=2026-05`).set(auth).send({ type: 'monthlyFunding', amount: 450 });
+  assert.equal(raised.status, 200);
+  assert.equal(raised.body.goalAmount, 450);
+  assert.deepEqual([raised.body.goal.needed, raised.body.goal.underfunded], [450, 150]);
+
+  const removed = await request(app).delete(`${base}/categories/${rent.id}/goal?month=2026-05`).set(auth);
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.goalType, null);
+  assert.equal(removed.body.goal, null);
+  const removal = state.events.find((event) => event.type === 'category.goalRemoved');
+  assert.deepEqual([removal.before.goalAmount, removal.data.goalAmount], [450, null]);
+});
+
+test('category groups and master categories span months and delete with reassignment', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'groups@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'groups@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 400, date: '2026-07-01T00:00:00.000Z' });
+  const bills = await request(app).post(`${base}/category-groups`).set(auth).send({ name: 'Bills', sortOrder: 2 });
+  const everyday = await request(app).post(`${base}/category-groups`).set(auth).send({ name: 'Everyday', sortOrder: 1 });
+  const power = await request(app).post(`${base}/categories?month=2026-07`).set(auth).send({ name: 'Power', groupId: bills.body.id });
+  const groceries = await request(app).post(`${base}/categories?month=2026-07`).set(auth).send({ name: 'Groceries', groupId: everyday.body.id });
+  const snacks = await request(app).post(`${base}/categories?month=2026-07`).set(auth).send({ name: 'Snacks', groupId: everyday.body.id });
+  await request(app).post(`${base}/categories/${groceries.body.id}/assign?month=2026-07`).set(auth).send({ amount: 100 });
+  await request(app).post(`${base}/categories/${snacks.body.id}/assign?month=2026-07`).set(auth).send({ amount: 20 });
+  await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: snacks.body.id, date: '2026-07-04T00:00:00.000Z', amount: 15 });
+
+  const tree = await request(app).get(`${base}/categories?month=2026-07`).set(auth);
+  assert.deepEqual(tree.body.map((group) => [group.name, group.assigned, group.available]), [['Everyday', 120, 105], ['Bills', 0, 0]]);
+
+  await request(app).patch(`${base}/master-categories/${power.body.masterCategoryId}`).set(auth).send({ name: 'Electricity' });
+  await request(app).patch(`${base}/category-groups/${bills.body.id}`).set(auth).send({ hidden: true });
+  const august = await request(app).get(`${base}/categories?month=2026-08`).set(auth);
+  assert.deepEqual(august.body.map((group) => group.name), ['Everyday']);
+  const withHidden = await request(app).get(`${base}/categories?month=2026-08&includeHidden=true`).set(auth);
+  assert.equal(withHidden.body[1].categories[0].name, 'Electricity');
+
+  const blocked = await request(app).delete(`${base}/master-categories/${snacks.body.masterCategoryId}`).set(auth);
+  assert.equal(blocked.status, 400);
+  const removed = await request(app)
+    .delete(`${base}/master-categories/${snacks.body.masterCategoryId}?reassignTo=${groceries.body.masterCategoryId}`)
+    .set(auth);
+  assert.equal(removed.status, 200);
+  assert.equal(state.transactions.at(-1).categoryId, groceries.body.id);
+  assert.deepEqual([state.categories[1].assigned, state.categories[1].spent], [120, 15]);
+  assert.equal(state.masters.some((m) => m.name === 'Snacks'), false);
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { budgetBase } from './helpers/mock-prisma.js';
+
+// These run the ledger and reports against Postgres instead of the mock, so query semantics are the
+// database's own. Point DATABASE_URL at a scratch database with the schema pushed to run them.
+const skip = !process.env.DATABASE_URL && 'DATABASE_URL is not set';
+
+async function signUp(app) {
+  const email = `ledger-${randomUUID()}@example.com`;
+  await request(app).post('/api/auth/register').send({ email, password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email, password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  return { auth, base: await budgetBase(app, auth) };
+}
+
+async function seedLedger(app, auth, base) {
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 1000, date: '2026-01-01T00:00:00.000Z' });
+  const groceries = await request(app).post(`${base}/categories?month=2026-01`).set(auth).send({ name: 'Groceries', group: 'Everyday' });
+  const dining = await request(app).post(`${base}/categories?month=2026-01`).set(auth).send({ name: 'Dining', group: 'Everyday' });
+  const post = (payload) => request(app).post(`${base}/transactions`).set(auth).send({ accountId: account.body.id, ...payload });
+  await post({ categoryId: groceries.body.id, payee: 'Market', date: '2026-01-10T00:00:00.000Z', amount: 100 });
+  await post({
+    payee: 'Market',
+    date: '2026-01-20T00:00:00.000Z',
+    amount: 80,
+    splits: [{ categoryId: groceries.body.id, amount: 50 }, { categoryId: dining.body.id, amount: 30 }]
+  });
+  await post({ payee: 'Employer', date: '2026-02-01T00:00:00.000Z', amount: -500 });
+  await post({ categoryId: dining.body.id, payee: 'Cafe', date: '2026-02-05T00:00:00.000Z', amount: 20 });
+  await post({
+    payee: 'Warehouse',
+    date: '2026-02-10T00:00:00.000Z',
+    amount: 30,
+    splits: [{ categoryId: groceries.body.id, amount: 40 }, { amount: -10 }]
+  });
+  return { groceries, dining };
+}
+
+async function spentByName(app, auth, base, month) {
+  const groups = (await request(app).get(`${base}/categories?month=${month}`).set(auth)).body;
+  return Object.fromEntries(groups.flatMap((group) => group.categories).map((category) => [category.name, category.spent]));
+}
+
+test('the ledger books lines against their own month and bulk changes leave splits alone', { skip }, async () => {
+  const app = createApp();
+  const { auth, base } = await signUp(app);
+  const { dining } = await seedLedger(app, auth, base);
+
+  assert.deepEqual(await spentByName(app, auth, base, '2026-01'), { Dining: 30, Groceries: 150 });
+  assert.deepEqual(await spentByName(app, auth, base, '2026-02'), { Dining: 20, Groceries: 40 });
+
+  const recategorized = await request(app).post(`${base}/transactions/bulk`).set(auth).send({
+    filter: { payee: 'market' },
+    change: { categoryId: dining.body.id }
+  });
+  assert.equal(recategorized.status, 200);
+  assert.equal(recategorized.body.results.length, 1);
+  assert.deepEqual(await spentByName(app, auth, base, '2026-01'), { Dining: 130, Groceries: 50 });
+});
+
+test('reports total split lines and calendar months in the database', { skip }, async () => {
+  const app = createApp();
+  const { auth, base } = await signUp(app);
+  await seedLedger(app, auth, base);
+
+  const range = 'from=2026-01-01T00:00:00.000Z&to=2026-02-28T23:59:59.000Z';
+  const byCategory = await request(app).get(`${base}/reports/spending?${range}`).set(auth);
+  assert.deepEqual(byCategory.body.items.map((item) => [item.name, item.amount]), [['Groceries', 190], ['Dining', 50]]);
+
+  const cashFlow = await request(app).get(`${base}/reports/income-expense?${range}`).set(auth);
+  assert.deepEqual(cashFlow.body, [
+    { month: '2026-01', income: 1000, expense: 180, net: 820 },
+    { month: '2026-02', income: 510, expense: 60, net: 450 }
+  ]);
+
+  const netWorth = await request(app).get(`${base}/reports/net-worth?${range}`).set(auth);
+  assert.deepEqual(netWorth.body.map((point) => [point.month, point.netWorth]), [['2026-01', 820], ['2026-02', 1270]]);
+});
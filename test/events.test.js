@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import http from 'node:http';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { notifyBudgetChanged } from '../src/events.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('the change feed lists committed events by version and streams new ones over SSE', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'feed@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'feed@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 100000, date: '2026-04-01T00:00:00.000Z' });
+  const category = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Food' });
+  await request(app).post(`${base}/categories/${category.body.id}/assign?month=2026-04`).set(auth).send({ amount: 30000 });
+  const post = (amount) => request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: category.body.id, date: '2026-04-02T00:00:00.000Z', amount });
+  await post(1250);
+
+  const feed = await request(app).get(`${base}/events`).set(auth);
+  assert.equal(feed.body.version, 4);
+  assert.deepEqual(feed.body.events.map((event) => [event.version, event.type]), [
+    [1, 'account.created'], [2, 'category.created'], [3, 'category.assigned'], [4, 'transaction.created']
+  ]);
+  const caughtUp = await request(app).get(`${base}/events?after=3`).set(auth);
+  assert.deepEqual(caughtUp.body.events.map((event) => event.data.amount), [1250]);
+
+  const server = app.listen(0);
+  await once(server, 'listening');
+  const stream = http.get(`http://127.0.0.1:${server.address().port}${base}/events/stream?access_token=${login.body.token}`, {
+    headers: { 'Last-Event-ID': '3' }
+  });
+  const [response] = await once(stream, 'response');
+  assert.match(response.headers['content-type'], /^text\/event-stream/);
+
+  let buffer = '';
+  let wake = () => {};
+  response.setEncoding('utf8');
+  response.on('data', (chunk) => {
+    buffer += chunk;
+    wake();
+  });
+  const received = async (text) => {
+    while (!buffer.includes(text)) await new Promise((resolve) => { wake = resolve; });
+  };
+
+  await received('id: 4\nevent: transaction.created\n');
+  assert.ok(!buffer.includes('id: 3\n'));
+  await post(800);
+  await received('id: 5\nevent: transaction.created\n');
+
+  // Logging out ends the stream the next time it wakes.
+  const ended = once(response, 'end');
+  await request(app).post('/api/auth/logout').set(auth);
+  notifyBudgetChanged(base.split('/').at(-1));
+  await ended;
+
+  // So does losing membership of the budget.
+  const again = await request(app).post('/api/auth/login').send({ email: 'feed@example.com', password: 'password123' });
+  const second = http.get(`http://127.0.0.1:${server.address().port}${base}/events/stream?access_token=${again.body.token}&after=5`);
+  const [secondResponse] = await once(second, 'response');
+  secondResponse.resume();
+  const secondEnded = once(secondResponse, 'end');
+  state.members.splice(0, state.members.length);
+  notifyBudgetChanged(base.split('/').at(-1));
+  await secondEnded;
+
+  await new Promise((resolve) => server.close(resolve));
+});
@@ -0,0 +1,610 @@
+import request from 'supertest';
+import { prisma } from '../../src/db.js';
+import { mailer } from '../../src/mailer.js';
+
+export const outbox = [];
+mailer.send = async (message) => {
+  outbox.push(message);
+};
+
+export function buildMockPrisma() {
+  const users = [];
+  const accounts = [];
+  const budgets = [];
+  const categories = [];
+  const transactions = [];
+  // Deletes shrink the array, so ids come from a counter rather than its length.
+  let transactionIds = 0;
+  const groups = [];
+  const masters = [];
+  const payees = [];
+  const rules = [];
+
+  let splitCount = 0;
+  const withSplitIds = (splits = []) => splits.map((split) => ({ id: `s${++splitCount}`, ...split }));
+
+  const findBudget = (budgetId, month) => budgets.find((b) => b.budgetId === budgetId && b.month.toISOString() === month.toISOString()) ?? null;
+
+  const pick = (row, select) => (select ? Object.fromEntries(Object.keys(select).map((key) => [key, row[key]])) : row);
+  const matchesValue = (value, filter) => {
+    if (filter === undefined) return true;
+    if (filter === null) return value === null || value === undefined;
+    if (typeof filter !== 'object' || filter instanceof Date) return value === filter;
+    if ('not' in filter) return filter.not === null ? value !== null && value !== undefined : value !== filter.not;
+    if ('in' in filter) return filter.in.includes(value);
+    // Like SQL, a range never matches a missing value.
+    if (value === null || value === undefined) return false;
+    return (filter.gte === undefined || value >= filter.gte) && (filter.gt === undefined || value > filter.gt)
+      && (filter.lte === undefined || value <= filter.lte) && (filter.lt === undefined || value < filter.lt);
+  };
+
+  const deleteVia = (rows, findMany) => async ({ where }) => {
+    const doomed = new Set(await findMany({ where }));
+    const kept = rows.filter((row) => !doomed.has(row));
+    const count = rows.length - kept.length;
+    rows.splice(0, rows.length, ...kept);
+    return { count };
+  };
+
+  prisma.user.findUnique = async ({ where, select }) => {
+    const row = users.find((u) => (where.email ? u.email === where.email : u.id === where.id));
+    return row ? pick(row, select) : null;
+  };
+  prisma.user.create = async ({ data, select }) => {
+    const row = { id: `u${users.length + 1}`, email: data.email, password: data.password, emailVerifiedAt: null, createdAt: new Date() };
+    users.push(row);
+    return pick(row, select);
+  };
+  prisma.user.update = async ({ where, data, select }) => pick(Object.assign(users.find((u) => u.id === where.id), data), select);
+  prisma.user.delete = async ({ where }) => users.splice(users.findIndex((u) => u.id === where.id), 1);
+
+  const authTokens = [];
+  prisma.authToken = {
+    create: async ({ data }) => {
+      const row = { id: `at${authTokens.length + 1}`, usedAt: null, ...data };
+      authTokens.push(row);
+      return row;
+    },
+    findUnique: async ({ where }) => authTokens.find((r) => r.tokenHash === where.tokenHash) ?? null,
+    updateMany: async ({ where, data }) => {
+      const rows = authTokens.filter((r) => r.id === where.id && !r.usedAt);
+      rows.forEach((r) => Object.assign(r, data));
+      return { count: rows.length };
+    },
+    deleteMany: deleteVia(authTokens, async ({ where }) => authTokens.filter((r) => r.userId === where.userId))
+  };
+
+  const sessions = [];
+  prisma.session = {
+    create: async ({ data }) => {
+      const row = { id: `ses${sessions.length + 1}`, revokedAt: null, createdAt: new Date(), ...data };
+      sessions.push(row);
+      return row;
+    },
+    findUnique: async ({ where, include }) => {
+      const row = sessions.find((r) => (where.id ? r.id === where.id : r.refreshTokenHash === where.refreshTokenHash));
+      if (!row) return null;
+      return include?.user ? { ...row, user: users.find((u) => u.id === row.userId) } : { ...row };
+    },
+    update: async ({ where, data }) => Object.assign(sessions.find((r) => r.id === where.id), data),
+    updateMany: async ({ where, data }) => {
+      const rows = sessions.filter((r) => ['id', 'userId', 'refreshTokenHash', 'previousRefreshTokenHash'].every((key) => matchesValue(r[key], where[key]))
+        && !r.revokedAt);
+      rows.forEach((r) => Object.assign(r, data));
+      return { count: rows.length };
+    },
+    deleteMany: deleteVia(sessions, async ({ where }) => sessions.filter((r) => r.userId === where.userId))
+  };
+
+  const budgetRows = [];
+  const members = [];
+  const invites = [];
+  const events = [];
+  const eventMatches = (e, where) => e.budgetId === where.budgetId
+    && ['id', 'version', 'type', 'entityId', 'undoOf'].every((key) => matchesValue(e[key], where[key]));
+  prisma.budgetEvent = {
+    create: async ({ data }) => {
+      if (data.undoOf && events.some((e) => e.undoOf === data.undoOf)) {
+        throw Object.assign(new Error('Unique constraint failed on the fields: (`undoOf`)'), { code: 'P2002', meta: { target: ['undoOf'] } });
+      }
+      const row = { id: `ev${events.length + 1}`, createdAt: new Date(), ...data };
+      events.push(row);
+      return row;
+    },
+    findMany: async ({ where, orderBy, skip = 0, take, include }) => events
+      .filter((e) => eventMatches(e, where))
+      .sort((a, b) => (orderBy?.version === 'desc' ? b.version - a.version : a.version - b.version))
+      .slice(skip, take === undefined ? undefined : skip + take)
+      .map((e) => (include?.actor ? { ...e, actor: e.actorId ? pick(users.find((u) => u.id === e.actorId), include.actor.select) : null } : e)),
+    findFirst: async ({ where }) => events.find((e) => eventMatches(e, where)) ?? null,
+    count: async ({ where }) => events.filter((e) => eventMatches(e, where)).length
+  };
+  prisma.budget = {
+    create: async ({ data }) => {
+      const row = { id: `bg${budgetRows.length + 1}`, strictOverspending: false, currency: 'USD', version: 0, createdAt: new Date(), ...data };
+      budgetRows.push(row);
+      return row;
+    },
+    findUnique: async ({ where, select }) => {
+      const row = budgetRows.find((b) => b.id === where.id);
+      return row ? pick(row, select) : null;
+    },
+    update: async ({ where, data, select }) => {
+      const row = budgetRows.find((b) => b.id === where.id);
+      const { version, ...fields } = data;
+      if (version?.increment) row.version += version.increment;
+      return pick(Object.assign(row, fields), select);
+    },
+    delete: async ({ where }) => {
+      // Memberships, invites and events cascade with the budget.
+      members.splice(0, members.length, ...members.filter((m) => m.budgetId !== where.id));
+      events.splice(0, events.length, ...events.filter((e) => e.budgetId !== where.id));
+      tombstones.splice(0, tombstones.length, ...tombstones.filter((t) => t.budgetId !== where.id));
+      return budgetRows.splice(budgetRows.findIndex((b) => b.id === where.id), 1);
+    }
+  };
+  const matchesMember = (m, where) => (!where.budgetId || m.budgetId === where.budgetId)
+    && (!where.userId || m.userId === where.userId)
+    && (!where.role || m.role === where.role)
+    && (!where.user || users.find((u) => u.id === m.userId)?.email === where.user.email);
+  prisma.budgetMember = {
+    findFirst: async ({ where }) => members.find((m) => matchesMember(m, where)) ?? null,
+    findMany: async ({ where }) => members.filter((m) => matchesMember(m, where)).map((m) => ({
+      ...m,
+      budget: budgetRows.find((b) => b.id === m.budgetId),
+      user: users.find((u) => u.id === m.userId)
+    })),
+    count: async ({ where }) => members.filter((m) => matchesMember(m, where)).length,
+    create: async ({ data }) => {
+      const row = { id: `bm${members.length + 1}`, createdAt: new Date(), ...data };
+      members.push(row);
+      return row;
+    },
+    upsert: async ({ where, create }) => members.find((m) => matchesMember(m, where.budgetId_userId))
+      ?? prisma.budgetMember.create({ data: create }),
+    update: async ({ where, data }) => Object.assign(members.find((m) => m.id === where.id), data),
+    delete: async ({ where }) => members.splice(members.findIndex((m) => m.id === where.id), 1)
+  };
+  prisma.budgetInvite = {
+    create: async ({ data }) => {
+      const row = { id: `inv${invites.length + 1}`, createdAt: new Date(), acceptedAt: null, ...data };
+      invites.push(row);
+      return row;
+    },
+    findUnique: async ({ where }) => invites.find((i) => i.token === where.token) ?? null,
+    findMany: async ({ where }) => invites.filter((i) => i.budgetId === where.budgetId && !i.acceptedAt),
+    update: async ({ where, data }) => Object.assign(invites.find((i) => i.id === where.id), data)
+  };
+
+  prisma.account.findMany = async ({ where }) => accounts.filter((a) => a.budgetId === where.budgetId);
+  prisma.account.findFirst = async ({ where }) => accounts.find((a) => a.id === where.id && a.budgetId === where.budgetId) ?? null;
+  const matchesTransaction = (t, where) => {
+    if (where.account && accounts.find((a) => a.id === t.accountId)?.budgetId !== where.account.budgetId) return false;
+    if (!['accountId', 'categoryId', 'transferAccountId', 'amount', 'date', 'cleared'].every((field) => matchesValue(t[field], where[field]))) return false;
+    if (where.reconciled !== undefined && Boolean(t.reconciled) !== where.reconciled) return false;
+    if (where.payee?.contains && !t.payee?.toLowerCase().includes(where.payee.contains.toLowerCase())) return false;
+    if (where.splits?.some && t.splits.length === 0) return false;
+    if (where.splits?.none && t.splits.length > 0) return false;
+    return !where.OR || where.OR.some((branch) => matchesTransaction(t, branch));
+  };
+  const groupRows = (rows, by, sum) => {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = JSON.stringify(by.map((field) => row[field] ?? null));
+      const group = groups.get(key) ?? {
+        ...Object.fromEntries(by.map((field) => [field, row[field] ?? null])),
+        _sum: Object.fromEntries(Object.keys(sum).map((field) => [field, 0]))
+      };
+      Object.keys(sum).forEach((field) => { group._sum[field] += Number(row[field] ?? 0); });
+      groups.set(key, group);
+    }
+    return [...groups.values()];
+  };
+
+  prisma.transaction.findMany = async ({ where, skip = 0, take }) => transactions
+    .filter((t) => matchesTransaction(t, where))
+    .slice(skip, take === undefined ? undefined : skip + take);
+  prisma.transaction.count = async ({ where }) => (await prisma.transaction.findMany({ where })).length;
+  prisma.transaction.groupBy = async ({ by, where, _sum }) => groupRows(await prisma.transaction.findMany({ where }), by, _sum);
+  const withMaster = (row, include) => {
+    if (!include?.masterCategory) return row;
+    const master = masters.find((m) => m.id === row.masterCategoryId);
+    const group = include.masterCategory.include?.group ? { group: groups.find((g) => g.id === master.groupId) } : {};
+    return { ...row, masterCategory: { ...master, ...group } };
+  };
+  const bySortOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+  prisma.budgetMonth.findMany = async ({ where, include }) => budgets
+    .filter((b) => b.budgetId === where.budgetId && matchesValue(b.month, where.month))
+    .sort((a, b) => a.month - b.month)
+    .map((b) => (include?.categories
+      ? { ...b, categories: categories.filter((c) => c.budgetMonthId === b.id).map((c) => withMaster(c, include.categories.include)) }
+      : b));
+  prisma.category.findMany = async ({ where, include }) => categories.filter((c) => {
+    if (where.id) return where.id.in.includes(c.id);
+    if (where.budgetMonthId) return c.budgetMonthId === where.budgetMonthId;
+    if (where.masterCategoryId) return c.masterCategoryId === where.masterCategoryId;
+    return budgets.find((b) => b.id === c.budgetMonthId)?.budgetId === where.budgetMonth.budgetId;
+  }).map((c) => withMaster(c, include));
+  prisma.category.groupBy = async ({ by, where, _sum }) => groupRows(categories.filter((c) => {
+    const budget = budgets.find((b) => b.id === c.budgetMonthId);
+    const master = masters.find((m) => m.id === c.masterCategoryId);
+    return budget.budgetId === where.budgetMonth.budgetId && matchesValue(budget.month, where.budgetMonth.month)
+      && matchesValue(master.paymentAccountId, where.masterCategory.paymentAccountId);
+  }), by, _sum);
+  prisma.categoryGroup = {
+    findMany: async ({ where, include }) => groups
+      .filter((g) => g.budgetId === where.budgetId)
+      .sort(bySortOrder)
+      .map((g) => (include?.categories ? { ...g, categories: masters.filter((m) => m.groupId === g.id).sort(bySortOrder) } : g)),
+    findFirst: async ({ where }) => groups.find((g) => g.budgetId === where.budgetId && (where.id ? g.id === where.id : g.name === where.name)) ?? null,
+    create: async ({ data }) => {
+      const row = { id: `g${groups.length + 1}`, sortOrder: 0, hidden: false, ...data };
+      groups.push(row);
+      return row;
+    },
+    upsert: async ({ where, create }) => {
+      const { budgetId, name } = where.budgetId_name;
+      return groups.find((g) => g.budgetId === budgetId && g.name === name) ?? prisma.categoryGroup.create({ data: create });
+    },
+    update: async ({ where, data }) => Object.assign(groups.find((g) => g.id === where.id), data),
+    delete: async ({ where }) => groups.splice(groups.findIndex((g) => g.id === where.id), 1),
+    count: async ({ where }) => groups.filter((g) => g.budgetId === where.budgetId).length,
+    createMany: async ({ data }) => groups.push(...data.map((row) => ({ ...row }))),
+    deleteMany: deleteVia(groups, (args) => prisma.categoryGroup.findMany(args))
+  };
+  prisma.masterCategory = {
+    findMany: async ({ where, include }) => masters
+      .filter((m) => (where.id ? where.id.in.includes(m.id) : m.budgetId === where.budgetId) && matchesValue(m.goalType, where.goalType))
+      .map((m) => (include?.group ? { ...m, group: groups.find((g) => g.id === m.groupId) } : m)),
+    findFirst: async ({ where }) => masters.find((m) => m.budgetId === where.budgetId
+      && (where.id ? m.id === where.id : m.paymentAccountId === where.paymentAccountId)) ?? null,
+    create: async ({ data }) => {
+      const row = { id: `m${masters.length + 1}`, sortOrder: 0, hidden: false, paymentAccountId: null, goalType: null, goalPriority: 0, ...data };
+      masters.push(row);
+      return row;
+    },
+    update: async ({ where, data }) => Object.assign(masters.find((m) => m.id === where.id), data),
+    updateMany: async ({ where, data }) => {
+      const rows = masters.filter((m) => m.groupId === where.groupId);
+      rows.forEach((m) => Object.assign(m, data));
+      return { count: rows.length };
+    },
+    delete: async ({ where }) => masters.splice(masters.findIndex((m) => m.id === where.id), 1),
+    count: async ({ where }) => masters.filter((m) => m.groupId === where.groupId).length,
+    createMany: async ({ data }) => masters.push(...data.map((row) => ({ ...row }))),
+    deleteMany: deleteVia(masters, (args) => prisma.masterCategory.findMany(args))
+  };
+  prisma.payee = {
+    findMany: async ({ where }) => payees.filter((p) => p.budgetId === where.budgetId).sort((a, b) => a.name.localeCompare(b.name)),
+    findFirst: async ({ where }) => payees.find((p) => p.budgetId === where.budgetId && (where.id ? p.id === where.id : p.name === where.name)) ?? null,
+    upsert: async ({ where, create }) => {
+      const { budgetId, name } = where.budgetId_name;
+      const existing = payees.find((p) => p.budgetId === budgetId && p.name === name);
+      if (existing) return existing;
+      const row = { id: `p${payees.length + 1}`, defaultMasterCategoryId: null, ...create };
+      payees.push(row);
+      return row;
+    },
+    update: async ({ where, data }) => Object.assign(payees.find((p) => p.id === where.id), data),
+    updateMany: async ({ where, data }) => {
+      const rows = payees.filter((p) => p.defaultMasterCategoryId === where.defaultMasterCategoryId);
+      rows.forEach((p) => Object.assign(p, data));
+      return { count: rows.length };
+    },
+    delete: async ({ where }) => payees.splice(payees.findIndex((p) => p.id === where.id), 1),
+    createMany: async ({ data }) => payees.push(...data.map((row) => ({ ...row }))),
+    deleteMany: deleteVia(payees, (args) => prisma.payee.findMany(args))
+  };
+  prisma.payeeRule = {
+    findMany: async ({ where }) => rules.filter((r) => r.budgetId === where.budgetId).sort((a, b) => a.priority - b.priority),
+    findFirst: async ({ where }) => rules.find((r) => r.id === where.id && r.budgetId === where.budgetId) ?? null,
+    create: async ({ data }) => {
+      const row = { id: `r${rules.length + 1}`, priority: 0, amountMin: null, amountMax: null, masterCategoryId: null, memo: null, createdAt: new Date(), ...data };
+      rules.push(row);
+      return row;
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = rules.filter((r) => Object.entries(where).every(([key, value]) => r[key] === value));
+      rows.forEach((r) => Object.assign(r, data));
+      return { count: rows.length };
+    },
+    delete: async ({ where }) => rules.splice(rules.findIndex((r) => r.id === where.id), 1),
+    createMany: async ({ data }) => rules.push(...data.map((row) => ({ ...row }))),
+    deleteMany: deleteVia(rules, (args) => prisma.payeeRule.findMany(args))
+  };
+  prisma.transactionSplit = {
+    findMany: async ({ where }) => transactions
+      .filter((t) => accounts.find((a) => a.id === t.accountId)?.budgetId === where.transaction.account.budgetId)
+      .flatMap((t) => t.splits.map((split) => ({ ...split, transactionId: t.id }))),
+    groupBy: async ({ by, where, _sum }) => groupRows(
+      transactions
+        .filter((t) => matchesTransaction(t, where.transaction))
+        .flatMap((t) => t.splits)
+        .filter((split) => matchesValue(split.categoryId, where.categoryId) && matchesValue(split.amount, where.amount)),
+      by,
+      _sum
+    ),
+    count: async ({ where }) => transactions.flatMap((t) => t.splits).filter((split) => where.categoryId.in.includes(split.categoryId)).length,
+    // Splits live inside their transaction and go with it.
+    deleteMany: async () => ({ count: 0 }),
+    updateMany: async ({ where, data }) => {
+      const rows = transactions.flatMap((t) => t.splits).filter((split) => split.categoryId === where.categoryId);
+      rows.forEach((split) => Object.assign(split, data));
+      return { count: rows.length };
+    }
+  };
+
+  const schedules = [];
+  const matchesNextDate = (row, filter) => {
+    if (!filter) return true;
+    if (filter.not === null && !row.nextDate) return false;
+    if (filter.lte && !(row.nextDate && row.nextDate <= filter.lte)) return false;
+    return true;
+  };
+  prisma.scheduledTransaction = {
+    create: async ({ data }) => {
+      const row = { id: `st${schedules.length + 1}`, ...data };
+      schedules.push(row);
+      return row;
+    },
+    findFirst: async ({ where }) => {
+      const row = schedules.find((r) => r.id === where.id && r.budgetId === where.budgetId);
+      return row ? { ...row } : null;
+    },
+    findMany: async ({ where }) => schedules.filter((r) => r.budgetId === where.budgetId && matchesNextDate(r, where.nextDate)),
+    update: async ({ where, data }) => Object.assign(schedules.find((r) => r.id === where.id), data),
+    delete: async ({ where }) => schedules.splice(schedules.findIndex((r) => r.id === where.id), 1)[0],
+    createMany: async ({ data }) => schedules.push(...data.map((row) => ({ ...row }))),
+    deleteMany: deleteVia(schedules, (args) => prisma.scheduledTransaction.findMany(args)),
+    count: async ({ where }) => schedules.filter((r) => where.categoryId.in.includes(r.categoryId)).length,
+    updateMany: async ({ where, data }) => {
+      const rows = schedules.filter((r) => (where.id
+        ? r.id === where.id && r.nextDate?.getTime() === where.nextDate?.getTime()
+        : r.categoryId === where.categoryId));
+      rows.forEach((r) => Object.assign(r, data));
+      return { count: rows.length };
+    }
+  };
+
+  // Sync stamps a budget's pending (null-version) rows and pulls rows by version.
+  const tombstones = [];
+  const budgetIdOf = (where) => where.budgetId ?? where.account?.budgetId ?? where.budgetMonth?.budgetId;
+  const syncAware = (delegate, rows, budgetOf) => {
+    const versioned = (where) => rows.filter((row) => budgetOf(row) === budgetIdOf(where)
+      && matchesValue(row.id, where.id) && matchesValue(row.version, where.version));
+    return {
+      ...delegate,
+      findMany: async (args) => (args.where.version === undefined ? delegate.findMany(args) : versioned(args.where)),
+      count: async (args) => (args.where.version === undefined ? delegate.count(args) : versioned(args.where).length),
+      updateMany: async (args) => {
+        if (args.where.version === undefined) return delegate.updateMany(args);
+        const matched = versioned(args.where);
+        matched.forEach((row) => Object.assign(row, args.data));
+        return { count: matched.length };
+      }
+    };
+  };
+  const withSync = (tx) => ({
+    ...tx,
+    tombstone: prisma.tombstone,
+    account: syncAware(tx.account, accounts, (row) => row.budgetId),
+    categoryGroup: syncAware(tx.categoryGroup, groups, (row) => row.budgetId),
+    masterCategory: syncAware(tx.masterCategory, masters, (row) => row.budgetId),
+    budgetMonth: syncAware(tx.budgetMonth, budgets, (row) => row.budgetId),
+    category: syncAware(tx.category, categories, (row) => budgets.find((b) => b.id === row.budgetMonthId)?.budgetId),
+    transaction: syncAware(tx.transaction, transactions, (row) => accounts.find((a) => a.id === row.accountId)?.budgetId)
+  });
+  prisma.tombstone = syncAware({
+    createMany: async ({ data }) => tombstones.push(...data.map((row) => ({ id: `ts${tombstones.length + 1}`, deletedAt: new Date(), ...row }))),
+    findFirst: async ({ where }) => tombstones.find((row) => ['budgetId', 'entity', 'entityId'].every((key) => row[key] === where[key])) ?? null
+  }, tombstones, (row) => row.budgetId);
+  const receipts = [];
+  prisma.syncReceipt = {
+    findUnique: async ({ where: { budgetId_clientId: { budgetId, clientId } } }) => receipts.find((row) => row.budgetId === budgetId && row.clientId === clientId) ?? null,
+    create: async ({ data }) => {
+      if (receipts.some((row) => row.budgetId === data.budgetId && row.clientId === data.clientId)) {
+        throw Object.assign(new Error('Unique constraint failed on the fields: (`budgetId`,`clientId`)'), {
+          code: 'P2002',
+          meta: { target: ['budgetId', 'clientId'] }
+        });
+      }
+      const row = { id: `sr${receipts.length + 1}`, createdAt: new Date(), ...data };
+      receipts.push(row);
+      return row;
+    }
+  };
+  prisma.category.findFirst = (args) => prisma.$transaction((tx) => tx.category.findFirst(args));
+  prisma.transaction.findFirst = (args) => prisma.$transaction((tx) => tx.transaction.findFirst(args));
+
+  // Interactive transactions roll back like Postgres: a throw restores every table.
+  const tables = () => [
+    users, accounts, budgets, categories, transactions, groups, masters, payees, rules,
+    authTokens, sessions, budgetRows, members, invites, events, schedules, tombstones, receipts
+  ];
+  const rollingBack = (run) => {
+    const snapshot = tables().map((rows) => structuredClone(rows));
+    return run().catch((error) => {
+      tables().forEach((rows, index) => rows.splice(0, rows.length, ...snapshot[index]));
+      throw error;
+    });
+  };
+
+  prisma.$transaction = async (arg) => {
+    if (Array.isArray(arg)) return Promise.all(arg);
+    return rollingBack(async () => arg(withSync({
+      user: prisma.user,
+      session: prisma.session,
+      authToken: prisma.authToken,
+      budget: prisma.budget,
+      budgetEvent: prisma.budgetEvent,
+      budgetMember: prisma.budgetMember,
+      budgetInvite: prisma.budgetInvite,
+      scheduledTransaction: prisma.scheduledTransaction,
+      categoryGroup: prisma.categoryGroup,
+      masterCategory: prisma.masterCategory,
+      payee: prisma.payee,
+      payeeRule: prisma.payeeRule,
+      syncReceipt: prisma.syncReceipt,
+      transactionSplit: {
+        ...prisma.transactionSplit,
+        createMany: async ({ data }) => data.forEach(({ transactionId, ...split }) => transactions.find((t) => t.id === transactionId).splits.push(split))
+      },
+      account: {
+        findMany: prisma.account.findMany,
+        count: async ({ where }) => accounts.filter((a) => a.budgetId === where.budgetId).length,
+        createMany: async ({ data }) => accounts.push(...data.map((row) => ({ ...row }))),
+        deleteMany: deleteVia(accounts, prisma.account.findMany),
+        create: async ({ data }) => {
+          const row = { id: `a${accounts.length + 1}`, ...data };
+          accounts.push(row);
+          return row;
+        },
+        findFirst: async ({ where }) => accounts.find((a) => a.id === where.id && a.budgetId === where.budgetId) ?? null,
+        update: async ({ where, data }) => {
+          const row = accounts.find((a) => a.id === where.id);
+          if (data.balance?.decrement !== undefined) row.balance -= data.balance.decrement;
+          if (data.balance?.increment !== undefined) row.balance += data.balance.increment;
+          if (typeof data.balance === 'number') row.balance = data.balance;
+          if (data.name) row.name = data.name;
+          if (data.lastReconciledAt) row.lastReconciledAt = data.lastReconciledAt;
+          if ('version' in data) row.version = data.version;
+          return row;
+        }
+      },
+      budgetMonth: {
+        findMany: prisma.budgetMonth.findMany,
+        count: async ({ where }) => budgets.filter((b) => b.budgetId === where.budgetId).length,
+        createMany: async ({ data }) => budgets.push(...data.map((row) => ({ ...row }))),
+        deleteMany: deleteVia(budgets, prisma.budgetMonth.findMany),
+        findUnique: async ({ where }) => {
+          if (where.budgetId_month) return findBudget(where.budgetId_month.budgetId, where.budgetId_month.month);
+          return budgets.find((b) => b.id === where.id) ?? null;
+        },
+        findFirst: async ({ where, orderBy, include }) => {
+          // `OR` asks for months with pending changes: the month itself or one of its categories.
+          const pending = (b) => where.OR.some((branch) => ('version' in branch
+            ? matchesValue(b.version, branch.version)
+            : categories.some((c) => c.budgetMonthId === b.id && matchesValue(c.version, branch.categories.some.version))));
+          const rows = budgets
+            .filter((b) => b.budgetId === where.budgetId && matchesValue(b.month, where.month) && (!where.OR || pending(b)))
+            .sort((a, b) => (orderBy?.month === 'desc' ? b.month - a.month : a.month - b.month));
+          if (!rows[0]) return null;
+          return include?.categories ? { ...rows[0], categories: categories.filter((c) => c.budgetMonthId === rows[0].id) } : rows[0];
+        },
+        create: async ({ data }) => {
+          const row = { id: `b${budgets.length + 1}`, availableToBudget: 0, carryoverFromPrev: 0, ...data };
+          budgets.push(row);
+          return row;
+        },
+        upsert: async ({ where, create }) => {
+          const existing = findBudget(where.budgetId_month.budgetId, where.budgetId_month.month);
+          if (existing) return existing;
+          const row = { id: `b${budgets.length + 1}`, availableToBudget: 0, carryoverFromPrev: 0, ...create };
+          budgets.push(row);
+          return row;
+        },
+        update: async ({ where, data }) => {
+          const row = budgets.find((b) => b.id === where.id);
+          const { availableToBudget, ...rest } = data;
+          if (availableToBudget?.increment !== undefined) row.availableToBudget += availableToBudget.increment;
+          else if (availableToBudget?.decrement !== undefined) row.availableToBudget -= availableToBudget.decrement;
+          else if (availableToBudget !== undefined) row.availableToBudget = availableToBudget;
+          Object.assign(row, rest);
+          return row;
+        }
+      },
+      category: {
+        create: async ({ data }) => {
+          const row = { id: `c${categories.length + 1}`, carryover: 0, assigned: 0, spent: 0, ...data };
+          categories.push(row);
+          return row;
+        },
+        findMany: prisma.category.findMany,
+        createMany: async ({ data }) => categories.push(...data.map((row) => ({ ...row }))),
+        upsert: async ({ where, create }) => {
+          const { budgetMonthId, masterCategoryId } = where.budgetMonthId_masterCategoryId;
+          const existing = categories.find((c) => c.budgetMonthId === budgetMonthId && c.masterCategoryId === masterCategoryId);
+          if (existing) return existing;
+          const row = { id: `c${categories.length + 1}`, carryover: 0, assigned: 0, spent: 0, ...create };
+          categories.push(row);
+          return row;
+        },
+        deleteMany: deleteVia(categories, prisma.category.findMany),
+        findFirst: async ({ where, include }) => {
+          const row = categories.find((c) => {
+            if (where.id && c.id !== where.id) return false;
+            if (where.budgetMonthId && c.budgetMonthId !== where.budgetMonthId) return false;
+            if (where.budgetMonth?.budgetId) {
+              const budget = budgets.find((b) => b.id === c.budgetMonthId);
+              return budget?.budgetId === where.budgetMonth.budgetId;
+            }
+            return true;
+          });
+          if (!row) return null;
+          const found = { ...withMaster(row, include) };
+          return include?.budgetMonth ? { ...found, budgetMonth: budgets.find((b) => b.id === row.budgetMonthId) } : found;
+        },
+        update: async ({ where, data }) => {
+          const row = categories.find((c) => c.id === where.id);
+          if (data.assigned?.increment) row.assigned += data.assigned.increment;
+          if (data.assigned?.decrement) row.assigned -= data.assigned.decrement;
+          if (data.spent?.increment) row.spent += data.spent.increment;
+          if (data.spent?.decrement) row.spent -= data.spent.decrement;
+          if (data.carryover?.increment) row.carryover += data.carryover.increment;
+          for (const field of ['carryover', 'spent']) {
+            if (typeof data[field] === 'number') row[field] = data[field];
+          }
+          if ('version' in data) row.version = data.version;
+          return row;
+        }
+      },
+      transaction: {
+        findMany: prisma.transaction.findMany,
+        aggregate: async ({ where, _sum }) => ({
+          _sum: Object.fromEntries(Object.keys(_sum).map((field) => [field, transactions
+            .filter((t) => t.accountId === where.accountId && Boolean(t.cleared) === where.cleared)
+            .reduce((sum, t) => sum + Number(t[field] ?? 0), 0)]))
+        }),
+        count: async ({ where }) => transactions.filter((t) => where.categoryId.in.includes(t.categoryId)).length,
+        updateMany: async ({ where, data }) => {
+          const rows = where.categoryId || where.payeeId
+            ? transactions.filter((t) => (where.payeeId ? t.payeeId === where.payeeId : t.categoryId === where.categoryId))
+            : transactions.filter((t) => t.accountId === where.accountId && t.cleared === where.cleared && !t.reconciled);
+          rows.forEach((t) => Object.assign(t, data));
+          return { count: rows.length };
+        },
+        createMany: async ({ data }) => transactions.push(...data.map((row) => ({ ...row, splits: [] }))),
+        deleteMany: deleteVia(transactions, prisma.transaction.findMany),
+        create: async ({ data }) => {
+          const { splits, ...fields } = data;
+          const row = { id: `t${++transactionIds}`, ...fields, cleared: fields.cleared ?? false, splits: withSplitIds(splits?.create) };
+          transactions.push(row);
+          return row;
+        },
+        findFirst: async ({ where }) => {
+          const row = transactions.find((t) => t.id === where.id && accounts.find((a) => a.id === t.accountId)?.budgetId === where.account.budgetId);
+          return row ? { ...row } : null;
+        },
+        update: async ({ where, data }) => {
+          const row = transactions.find((t) => t.id === where.id);
+          const { splits, ...fields } = data;
+          Object.assign(row, fields);
+          if (splits) row.splits = withSplitIds(splits.create);
+          return row;
+        },
+        delete: async ({ where }) => {
+          const idx = transactions.findIndex((t) => t.id === where.id);
+          transactions.splice(idx, 1);
+        }
+      }
+    })));
+  };
+
+  return { users, accounts, categories, budgets, transactions, schedules, groups, masters, payees, rules, budgetRows, members, sessions, events, tombstones };
+}
+
+export async function budgetBase(app, auth) {
+  const [budget] = (await request(app).get('/api/budgets').set(auth)).body;
+  return `/api/budgets/${budget.id}`;
+}
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('statement import previews duplicates and commits through transaction bookkeeping', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'import@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'import@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 50000, date: '2026-08-01T00:00:00.000Z' });
+  const existing = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, date: '2026-08-03T00:00:00.000Z', amount: 1250, payee: 'Corner Cafe' });
+
+  const preview = await request(app)
+    .post(`${base}/imports/preview`)
+    .set(auth)
+    .send({
+      accountId: account.body.id,
+      format: 'csv',
+      content: 'Date,Payee,Amount\n2026-08-03,CORNER CAFE #12,-12.50\n2026-08-04,Book Shop,-30.00\n',
+      mapping: { date: 'Date', payee: 'Payee', amount: 'Amount' }
+    });
+  assert.equal(preview.status, 200);
+  assert.deepEqual(preview.body.transactions.map((t) => t.duplicateOf), [existing.body.id, null]);
+
+  const committed = await request(app).post(`${base}/imports/commit`).set(auth).send(preview.body);
+  assert.equal(committed.status, 201);
+  assert.equal(committed.body.created.length, 1);
+  assert.equal(committed.body.matched[0].cleared, true);
+  assert.equal(state.transactions.at(-1).cleared, true);
+  assert.equal(state.accounts[0].balance, 45750);
+
+  // A row the single-transaction endpoint would refuse rolls the import back with that row's status.
+  const count = state.transactions.length;
+  const rejected = await request(app).post(`${base}/imports/commit`).set(auth).send({
+    accountId: account.body.id,
+    transactions: [
+      { date: '2026-08-05T00:00:00.000Z', payee: 'Grocer', amount: 2000 },
+      { date: '2026-08-06T00:00:00.000Z', payee: 'Grocer', amount: 1000, categoryId: 'missing' }
+    ]
+  });
+  assert.equal(rejected.status, 404);
+  assert.equal(rejected.body.index, 1);
+  assert.match(rejected.body.error, /^Row 1 failed/);
+  assert.equal(state.transactions.length, count);
+  assert.equal(state.accounts[0].balance, 45750);
+});
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('the integrity check reports drifted balances and repair recomputes them from transactions', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'integrity@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'integrity@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 300, date: '2026-04-01T00:00:00.000Z' });
+  const category = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Utilities' });
+  await request(app).post(`${base}/categories/${category.body.id}/assign?month=2026-04`).set(auth).send({ amount: 100 });
+  await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: category.body.id, date: '2026-04-10T00:00:00.000Z', amount: 60 });
+
+  const clean = await request(app).get(`${base}/integrity`).set(auth);
+  assert.deepEqual(clean.body, { consistent: true, discrepancies: [] });
+
+  state.accounts[0].balance = 999;
+  state.categories[0].spent = 0;
+  state.budgets[0].availableToBudget = 0;
+
+  const report = await request(app).get(`${base}/integrity`).set(auth);
+  assert.equal(report.body.consistent, false);
+  assert.deepEqual(
+    report.body.discrepancies.map((d) => [d.model, d.field, d.expected]),
+    [['account', 'balance', 240], ['budgetMonth', 'availableToBudget', 200], ['category', 'spent', 60]]
+  );
+
+  const repaired = await request(app).post(`${base}/integrity/repair`).set(auth);
+  assert.equal(repaired.body.repaired.length, 3);
+  assert.equal(state.accounts[0].balance, 240);
+  assert.equal(state.budgets[0].availableToBudget, 200);
+  assert.equal(state.categories[0].spent, 60);
+});
+
+test('the integrity check stays clean after writes into a month that already rolled over', async () => {
+  buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'integrity-rolled@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'integrity-rolled@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 300, date: '2026-04-01T00:00:00.000Z' });
+  const category = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Utilities' });
+  await request(app).post(`${base}/categories/${category.body.id}/assign?month=2026-04`).set(auth).send({ amount: 100 });
+  await request(app).post(`${base}/categories/${category.body.id}/assign?month=2026-05`).set(auth).send({ amount: 50 });
+
+  await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: category.body.id, date: '2026-04-10T00:00:00.000Z', amount: 160 });
+  await request(app).post(`${base}/transactions`).set(auth).send({ accountId: account.body.id, date: '2026-04-15T00:00:00.000Z', amount: -400 });
+
+  const report = await request(app).get(`${base}/integrity`).set(auth);
+  assert.deepEqual(report.body, { consistent: true, discrepancies: [] });
+});
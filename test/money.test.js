@@ -0,0 +1,17 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { convertAmount } from '../src/utils/money.js';
+import { parseStatementAmount } from '../src/utils/statement-parsers.js';
+
+test('money converts between currencies in minor units and statements parse without floating point', () => {
+  assert.equal(convertAmount(1000, '1.085', 'EUR', 'USD'), 1085);
+  assert.equal(convertAmount(-1000, '1.0855', 'EUR', 'USD'), -1086);
+  assert.equal(convertAmount(1000, '0.0067', 'JPY', 'USD'), 670);
+  assert.equal(convertAmount(100, '1.005', 'EUR', 'USD'), 101);
+  assert.equal(convertAmount(-100, '1.005', 'EUR', 'USD'), -101);
+  assert.equal(convertAmount(1000, '150', 'USD', 'JPY'), 1500);
+  assert.equal(parseStatementAmount('0.30') - parseStatementAmount('0.10'), 20);
+  assert.equal(parseStatementAmount('1500', 0), 1500);
+  assert.throws(() => parseStatementAmount('12.345'), /Invalid statement amount/);
+});
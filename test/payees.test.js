@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('payee rules rename and categorize new transactions and payees remember their category', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'payees@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'payees@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 500, date: '2026-05-01T00:00:00.000Z' });
+  const shopping = await request(app).post(`${base}/categories?month=2026-05`).set(auth).send({ name: 'Shopping' });
+  const dining = await request(app).post(`${base}/categories?month=2026-05`).set(auth).send({ name: 'Dining' });
+  await request(app).post(`${base}/categories/${shopping.body.id}/assign?month=2026-05`).set(auth).send({ amount: 200 });
+  await request(app).post(`${base}/categories/${dining.body.id}/assign?month=2026-05`).set(auth).send({ amount: 100 });
+
+  // Regular expressions are not accepted, and patterns are kept short.
+  for (const [matchType, matchValue] of [['regex', '^(amazon|amzn)'], ['contains', 'a'.repeat(201)]]) {
+    const refused = await request(app).post(`${base}/payee-rules`).set(auth).send({ matchType, matchValue, payee: 'Amazon' });
+    assert.equal(refused.status, 400, matchType);
+  }
+  const rule = await request(app)
+    .post(`${base}/payee-rules`)
+    .set(auth)
+    .send({ matchType: 'startsWith', matchValue: 'amzn', payee: 'Amazon', masterCategoryId: shopping.body.masterCategoryId, amountMax: 500 });
+  assert.equal(rule.status, 201);
+
+  const post = (payload) => request(app).post(`${base}/transactions`).set(auth).send({ accountId: account.body.id, date: '2026-05-03T00:00:00.000Z', ...payload });
+  const matched = await post({ payee: 'AMZN Mktp US*2K4', amount: 40 });
+  assert.deepEqual([matched.body.payee, matched.body.categoryId], ['Amazon', shopping.body.id]);
+  assert.equal(state.categories.find((c) => c.id === shopping.body.id).spent, 40);
+
+  await post({ payee: 'Corner Cafe', categoryId: dining.body.id, amount: 12 });
+  const remembered = await post({ payee: 'Corner Cafe', amount: 8 });
+  assert.equal(remembered.body.categoryId, dining.body.id);
+  // A payout from the same payee is not spending, so it stays uncategorized income.
+  const payout = await post({ payee: 'Corner Cafe', amount: -30 });
+  assert.equal(payout.body.categoryId, undefined);
+  assert.equal(state.budgets[0].availableToBudget, 230);
+
+  await post({ payee: 'Cafe on Corner', amount: 5, categoryId: dining.body.id });
+  const list = await request(app).get(`${base}/payees`).set(auth);
+  const cafe = list.body.find((payee) => payee.name === 'Cafe on Corner');
+  const corner = list.body.find((payee) => payee.name === 'Corner Cafe');
+  const merged = await request(app).post(`${base}/payees/${cafe.id}/merge`).set(auth).send({ intoPayeeId: corner.id });
+  assert.equal(merged.status, 200);
+  assert.deepEqual(state.transactions.filter((t) => t.payeeId === corner.id).map((t) => t.payee), ['Corner Cafe', 'Corner Cafe', 'Corner Cafe', 'Corner Cafe']);
+
+  const clash = await request(app).patch(`${base}/payees/${corner.id}`).set(auth).send({ name: 'Amazon' });
+  assert.equal(clash.status, 409);
+  await request(app).patch(`${base}/payees/${corner.id}`).set(auth).send({ name: 'The Corner Cafe' });
+  assert.equal(state.transactions.at(-1).payee, 'The Corner Cafe');
+});
@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('reports chart spending, income vs expense, net worth and category averages', async () => {
+  buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'reports@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'reports@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 1000, date: '2026-01-01T00:00:00.000Z' });
+  const groceries = await request(app).post(`${base}/categories?month=2026-01`).set(auth).send({ name: 'Groceries', group: 'Everyday' });
+  const dining = await request(app).post(`${base}/categories?month=2026-01`).set(auth).send({ name: 'Dining', group: 'Everyday' });
+  const post = (payload) => request(app).post(`${base}/transactions`).set(auth).send({ accountId: account.body.id, ...payload });
+  await post({ categoryId: groceries.body.id, payee: 'Market', date: '2026-01-10T00:00:00.000Z', amount: 100 });
+  await post({
+    payee: 'Market',
+    date: '2026-01-20T00:00:00.000Z',
+    amount: 80,
+    splits: [{ categoryId: groceries.body.id, amount: 50 }, { categoryId: dining.body.id, amount: 30 }]
+  });
+  await post({ payee: 'Employer', date: '2026-02-01T00:00:00.000Z', amount: -500 });
+  await post({ categoryId: dining.body.id, payee: 'Cafe', date: '2026-02-05T00:00:00.000Z', amount: 20 });
+  // Only the categorized outflow line is expense; the uncategorized cash back is income.
+  await post({
+    payee: 'Warehouse',
+    date: '2026-02-10T00:00:00.000Z',
+    amount: 30,
+    splits: [{ categoryId: groceries.body.id, amount: 40 }, { amount: -10 }]
+  });
+
+  const range = 'from=2026-01-01T00:00:00.000Z&to=2026-02-28T23:59:59.000Z';
+  const byCategory = await request(app).get(`${base}/reports/spending?${range}`).set(auth);
+  assert.equal(byCategory.body.total, 240);
+  assert.deepEqual(byCategory.body.items.map((item) => [item.name, item.group, item.amount]), [['Groceries', 'Everyday', 190], ['Dining', 'Everyday', 50]]);
+
+  const byPayee = await request(app).get(`${base}/reports/spending?groupBy=payee&${range}`).set(auth);
+  assert.deepEqual(byPayee.body.items, [{ payee: 'Market', amount: 180 }, { payee: 'Warehouse', amount: 30 }, { payee: 'Cafe', amount: 20 }]);
+
+  const cashFlow = await request(app).get(`${base}/reports/income-expense?${range}`).set(auth);
+  assert.deepEqual(cashFlow.body, [
+    { month: '2026-01', income: 1000, expense: 180, net: 820 },
+    { month: '2026-02', income: 510, expense: 60, net: 450 }
+  ]);
+
+  const netWorth = await request(app).get(`${base}/reports/net-worth?${range}`).set(auth);
+  assert.deepEqual(netWorth.body.map((point) => [point.month, point.netWorth]), [['2026-01', 820], ['2026-02', 1270]]);
+
+  const averages = await request(app).get(`${base}/reports/category-averages?months=24`).set(auth);
+  assert.deepEqual(averages.body.items.map((item) => [item.name, item.average]), [['Groceries', 8], ['Dining', 2]]);
+
+  const backwards = await request(app).get(`${base}/reports/income-expense?from=2026-03-01T00:00:00.000Z&to=2026-01-01T00:00:00.000Z`).set(auth);
+  assert.equal(backwards.status, 400);
+});
@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { occurrenceOnOrAfter, occurrencesBetween } from '../src/utils/schedule.js';
+
+test('occurrencesBetween clamps month ends and honours end dates', () => {
+  const monthly = { frequency: 'monthly', startDate: '2026-01-31T00:00:00.000Z' };
+  assert.deepEqual(
+    occurrencesBetween(monthly, '2026-01-01T00:00:00.000Z', '2026-04-30T00:00:00.000Z').map((d) => d.toISOString().slice(0, 10)),
+    ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']
+  );
+
+  const everyTenDays = { frequency: 'everyNDays', intervalDays: 10, startDate: '2026-01-01T00:00:00.000Z', endDate: '2026-01-25T00:00:00.000Z' };
+  assert.equal(occurrencesBetween(everyTenDays, '2026-01-05T00:00:00.000Z', '2026-12-31T00:00:00.000Z').length, 2);
+
+  // Long-running schedules jump straight to the target date.
+  const day = (date) => date.toISOString().slice(0, 10);
+  assert.equal(day(occurrenceOnOrAfter({ ...monthly, startDate: '1990-01-31T00:00:00.000Z' }, '2026-02-01T00:00:00.000Z')), '2026-02-28');
+  assert.equal(day(occurrenceOnOrAfter({ frequency: 'yearly', startDate: '1904-02-29T00:00:00.000Z' }, '2026-02-28T00:00:00.000Z')), '2026-02-28');
+  assert.equal(day(occurrenceOnOrAfter({ frequency: 'weekly', startDate: '1970-01-01T00:00:00.000Z' }, '2026-01-02T00:00:00.000Z')), '2026-01-08');
+  assert.equal(occurrenceOnOrAfter(everyTenDays, '2026-01-22T00:00:00.000Z'), null);
+});
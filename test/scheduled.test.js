@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { prisma } from '../src/db.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('materializing schedules posts due occurrences into each month and lists upcoming bills', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'schedule@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'schedule@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 3000, date: '2026-01-01T00:00:00.000Z' });
+  const rent = await request(app).post(`${base}/categories?month=2026-01`).set(auth).send({ name: 'Rent', group: 'Bills' });
+
+  const schedule = await request(app)
+    .post(`${base}/scheduled-transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: rent.body.id, payee: 'Landlord', amount: 1000, frequency: 'monthly', startDate: '2026-01-31T00:00:00.000Z' });
+  assert.equal(schedule.status, 201);
+
+  // Schedules are held to the rules their transactions post under.
+  const schedules = `${base}/scheduled-transactions`;
+  const gym = { accountId: account.body.id, payee: 'Gym', amount: 50, frequency: 'monthly', startDate: '2026-02-01T00:00:00.000Z' };
+  const savings = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Savings', type: 'savings', balance: 0, date: '2026-01-01T00:00:00.000Z' });
+  const categorizedTransfer = await request(app).post(schedules).set(auth).send({ ...gym, categoryId: rent.body.id, transferAccountId: savings.body.id });
+  assert.equal(categorizedTransfer.status, 400);
+  assert.equal((await request(app).post(schedules).set(auth).send({ ...gym, categoryId: 'missing' })).status, 404);
+  assert.equal((await request(app).post(schedules).set(auth).send({ ...gym, amount: null, originalAmount: 50, exchangeRate: '1.1' })).status, 400);
+  assert.equal((await request(app).patch(`${schedules}/${schedule.body.id}`).set(auth).send({ categoryId: 'missing' })).status, 404);
+
+  // A schedule that can no longer post is reported and stays due; the others still post.
+  const broken = await request(app).post(schedules).set(auth).send({ ...gym, categoryId: rent.body.id });
+  state.schedules.find((row) => row.id === broken.body.id).categoryId = 'deleted';
+
+  const materialized = await request(app).post(`${base}/scheduled-transactions/materialize`).set(auth).send({ asOf: '2026-03-15T00:00:00.000Z' });
+  assert.equal(materialized.status, 200);
+  assert.deepEqual(
+    materialized.body.results.map((result) => [result.scheduledTransactionId, result.status]),
+    [[schedule.body.id, 200], [broken.body.id, 404]]
+  );
+  assert.equal(materialized.body.results[1].error, 'Category not found');
+  assert.equal(state.schedules.find((row) => row.id === broken.body.id).nextDate.toISOString(), '2026-02-01T00:00:00.000Z');
+  assert.equal(materialized.body.posted.length, 2);
+  assert.deepEqual(materialized.body.upcoming.map((o) => o.date), ['2026-03-31T00:00:00.000Z', '2026-04-01T00:00:00.000Z']);
+
+  const [january, february] = state.transactions.filter((t) => t.payee === 'Landlord');
+  assert.equal(january.categoryId, rent.body.id);
+  assert.notEqual(february.categoryId, rent.body.id);
+  assert.equal(state.categories.find((c) => c.id === february.categoryId).masterCategoryId, rent.body.masterCategoryId);
+  assert.equal(state.accounts[0].balance, 1000);
+  assert.equal(state.schedules[0].nextDate.toISOString(), '2026-03-31T00:00:00.000Z');
+
+  // Two runs that both see the schedule due post it once: whichever claims the next date first.
+  assert.equal((await request(app).delete(`${schedules}/${broken.body.id}`).set(auth)).status, 200);
+  const findMany = prisma.scheduledTransaction.findMany;
+  let release;
+  const bothRead = new Promise((resolve) => { release = resolve; });
+  let reads = 0;
+  prisma.scheduledTransaction.findMany = async (args) => {
+    const rows = await findMany(args);
+    reads += 1;
+    if (reads === 2) release();
+    await bothRead;
+    return rows;
+  };
+  const runs = await Promise.all([1, 2].map(() => (
+    request(app).post(`${base}/scheduled-transactions/materialize`).set(auth).send({ asOf: '2026-04-15T00:00:00.000Z' })
+  )));
+  prisma.scheduledTransaction.findMany = findMany;
+  assert.deepEqual(runs.map((run) => run.body.posted.length).sort(), [0, 1]);
+  assert.equal(state.transactions.filter((t) => t.payee === 'Landlord').length, 3);
+});
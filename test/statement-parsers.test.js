@@ -0,0 +1,18 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCsv, parseOfx, parseQif } from '../src/utils/statement-parsers.js';
+
+test('statement parsers normalise CSV, OFX and QIF rows to outflow-positive amounts', () => {
+  const csv = 'Posted,Description,Amount\n01/03/2026,"Coffee, Main St",-4.50\n01/05/2026,Payroll,"1,200.00"\n';
+  assert.deepEqual(parseCsv(csv, { date: 'Posted', payee: 'Description', amount: 'Amount', dateFormat: 'MM/DD/YYYY' }), [
+    { date: '2026-01-03T00:00:00.000Z', payee: 'Coffee, Main St', memo: null, amount: 450 },
+    { date: '2026-01-05T00:00:00.000Z', payee: 'Payroll', memo: null, amount: -120000 }
+  ]);
+
+  const ofx = '<OFX><BANKTRANLIST><STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20260107120000<TRNAMT>-23.10<NAME>GROCER</STMTTRN></BANKTRANLIST></OFX>';
+  assert.deepEqual(parseOfx(ofx), [{ date: '2026-01-07T00:00:00.000Z', payee: 'GROCER', memo: null, amount: 2310 }]);
+
+  const qif = "!Type:Bank\nD1/9'26\nT-60.00\nPGas Co\nMJanuary\n^\n";
+  assert.deepEqual(parseQif(qif), [{ date: '2026-01-09T00:00:00.000Z', payee: 'Gas Co', memo: 'January', amount: 6000 }]);
+});
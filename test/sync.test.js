@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('delta sync returns changes and tombstones since a knowledge and reports conflicts per change', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'sync@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'sync@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 100000, date: '2026-04-01T00:00:00.000Z' });
+  const category = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Food' });
+  await request(app).post(`${base}/categories/${category.body.id}/assign?month=2026-04`).set(auth).send({ amount: 30000 });
+  const post = (amount) => request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: category.body.id, date: '2026-04-02T00:00:00.000Z', amount });
+  const lunch = await post(1250);
+
+  const full = await request(app).get(`${base}/sync`).set(auth);
+  assert.equal(full.body.knowledge, 4);
+  assert.equal(full.body.full, true);
+  assert.equal(full.body.transactions.length, 2);
+  assert.equal(full.body.transactions.find((t) => t.id === lunch.body.id).version, 4);
+  const food = full.body.categories.find((c) => c.id === category.body.id);
+  assert.deepEqual([food.version, food.assigned, food.spent], [4, 30000, 1250]);
+
+  // Another device posts and deletes a transaction while this client is offline.
+  const dinner = await post(4000);
+  await request(app).delete(`${base}/transactions/${dinner.body.id}`).set(auth);
+
+  const delta = await request(app).get(`${base}/sync?since=4`).set(auth);
+  assert.equal(delta.body.knowledge, 6);
+  assert.equal(delta.body.full, false);
+  assert.deepEqual(delta.body.transactions, []);
+  assert.deepEqual(delta.body.accounts.map((a) => [a.id, a.balance, a.version]), [[account.body.id, 98750, 6]]);
+  assert.deepEqual(delta.body.deleted, [{ entity: 'transaction', id: dinner.body.id, version: 6 }]);
+  const foodVersion = delta.body.categories.find((c) => c.id === category.body.id).version;
+
+  const push = await request(app).post(`${base}/sync`).set(auth).send({
+    changes: [
+      { clientId: 'c1', entity: 'category', action: 'update', id: category.body.id, version: foodVersion, data: { amount: 5000 } },
+      { clientId: 'c2', entity: 'transaction', action: 'update', id: lunch.body.id, version: 4, data: { memo: 'Team lunch' } },
+      { clientId: 'c3', entity: 'transaction', action: 'update', id: dinner.body.id, version: 5, data: { memo: 'Dinner' } },
+      { clientId: 'c4', entity: 'transaction', action: 'update', id: lunch.body.id, version: 4, data: { amount: 1500 } },
+      { clientId: 'c5', entity: 'transaction', action: 'create', data: { accountId: account.body.id, date: '2026-04-03T00:00:00.000Z', amount: 900 } },
+      { clientId: 'c6', entity: 'transaction', action: 'delete', id: lunch.body.id }
+    ]
+  });
+  assert.equal(push.status, 200);
+  assert.deepEqual(push.body.results.map((r) => [r.clientId, r.status, r.reason ?? r.error ?? null]), [
+    ['c1', 'applied', null],
+    ['c2', 'applied', null],
+    ['c3', 'conflict', 'deleted'],
+    ['c4', 'conflict', 'stale'],
+    ['c5', 'applied', null],
+    ['c6', 'rejected', 'id and version are required to update or delete']
+  ]);
+  assert.equal(push.body.results[0].data.assigned, 35000);
+  assert.equal(push.body.results[1].data.memo, 'Team lunch');
+  assert.equal(push.body.results[3].data.memo, 'Team lunch');
+  assert.equal(push.body.knowledge, 9);
+
+  const after = await request(app).get(`${base}/sync?since=6`).set(auth);
+  assert.deepEqual(after.body.transactions.map((t) => [t.id, t.version]), [[lunch.body.id, 8], [push.body.results[4].id, 9]]);
+  assert.equal(after.body.accounts[0].balance, 97850);
+
+  // A push retried after a lost response returns the rows its creates made instead of adding more.
+  const retried = await request(app).post(`${base}/sync`).set(auth).send({
+    changes: [
+      { clientId: 'c5', entity: 'transaction', action: 'create', data: { accountId: account.body.id, date: '2026-04-03T00:00:00.000Z', amount: 900 } },
+      { clientId: 'c5', entity: 'account', action: 'create', data: { name: 'Savings', type: 'savings' } }
+    ]
+  });
+  assert.deepEqual(retried.body.results.map((r) => [r.status, r.id ?? r.error]), [
+    ['applied', push.body.results[4].id],
+    ['rejected', 'clientId was already used for another change']
+  ]);
+  assert.equal(retried.body.results[0].version, 9);
+  assert.equal(retried.body.knowledge, 9);
+  assert.equal(state.transactions.length, 3);
+  assert.equal(state.accounts.length, 1);
+
+  // A rejected change gives back the row it claimed at the client's version.
+  const invalid = await request(app).post(`${base}/sync`).set(auth).send({
+    changes: [{ entity: 'transaction', action: 'update', id: lunch.body.id, version: 8, data: { amount: 'lots' } }]
+  });
+  assert.equal(invalid.body.results[0].status, 'rejected');
+  assert.equal(state.transactions.find((t) => t.id === lunch.body.id).version, 8);
+});
@@ -0,0 +1,471 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+
+import { createApp } from '../src/server.js';
+import { prisma } from '../src/db.js';
+import { buildMockPrisma, budgetBase } from './helpers/mock-prisma.js';
+
+test('api flow: register -> account -> category assign -> transaction updates balances', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  const register = await request(app).post('/api/auth/register').send({ email: 'test@example.com', password: 'password123' });
+  assert.equal(register.status, 201);
+
+  const login = await request(app).post('/api/auth/login').send({ email: 'test@example.com', password: 'password123' });
+  const token = login.body.token;
+  assert.ok(token);
+  const base = await budgetBase(app, { Authorization: `Bearer ${token}` });
+
+  const account = await request(app)
+    .post(`${base}/accounts`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'Checking', type: 'checking', balance: 100, date: '2026-01-01T00:00:00.000Z' });
+  assert.equal(account.status, 201);
+
+  const category = await request(app)
+    .post(`${base}/categories?month=2026-01`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'Groceries' });
+  assert.equal(category.status, 201);
+
+  const assigned = await request(app)
+    .post(`${base}/categories/${category.body.id}/assign?month=2026-01`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ amount: 50 });
+  assert.equal(assigned.status, 200);
+
+  const tx = await request(app)
+    .post(`${base}/transactions`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      accountId: account.body.id,
+      categoryId: category.body.id,
+      date: '2026-01-05T00:00:00.000Z',
+      amount: 20,
+      payee: 'Store'
+    });
+  assert.equal(tx.status, 201);
+
+  assert.equal(state.accounts[0].balance, 80);
+  assert.equal(state.categories[0].spent, 20);
+});
+
+test('income transactions fund Ready to Assign and edits reverse the credit', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'income@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'income@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking' });
+  const paycheck = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, date: '2026-02-01T00:00:00.000Z', amount: -1200, payee: 'Employer' });
+  assert.equal(paycheck.status, 201);
+  assert.equal(state.budgets[0].availableToBudget, 1200);
+  assert.equal(state.accounts[0].balance, 1200);
+
+  const edited = await request(app).patch(`${base}/transactions/${paycheck.body.id}`).set(auth).send({ amount: -1000 });
+  assert.equal(edited.status, 200);
+  assert.equal(state.budgets[0].availableToBudget, 1000);
+
+  const removed = await request(app).delete(`${base}/transactions/${paycheck.body.id}`).set(auth);
+  assert.equal(removed.status, 200);
+  assert.equal(state.budgets[0].availableToBudget, 0);
+  assert.equal(state.accounts[0].balance, 0);
+});
+
+test('categorized inflows give money back to their category instead of Ready to Assign', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'refund@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'refund@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 500, date: '2026-02-01T00:00:00.000Z' });
+  const groceries = await request(app).post(`${base}/categories?month=2026-02`).set(auth).send({ name: 'Groceries' });
+  const household = await request(app).post(`${base}/categories?month=2026-02`).set(auth).send({ name: 'Household' });
+  await request(app).post(`${base}/categories/${groceries.body.id}/assign?month=2026-02`).set(auth).send({ amount: 100 });
+  await request(app).post(`${base}/transactions`).set(auth).send({ accountId: account.body.id, categoryId: groceries.body.id, date: '2026-02-03T00:00:00.000Z', amount: 80 });
+
+  const refund = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: groceries.body.id, date: '2026-02-05T00:00:00.000Z', amount: -30 });
+  assert.equal(refund.status, 201);
+  assert.deepEqual([state.categories[0].spent, state.accounts[0].balance, state.budgets[0].availableToBudget], [50, 450, 400]);
+
+  // A returned item on a split receipt credits its own line's category.
+  await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({
+      accountId: account.body.id,
+      date: '2026-02-07T00:00:00.000Z',
+      amount: 20,
+      splits: [{ categoryId: groceries.body.id, amount: 40 }, { categoryId: household.body.id, amount: -20 }]
+    });
+  assert.deepEqual([state.categories[0].spent, state.categories[1].spent, state.accounts[0].balance], [90, -20, 430]);
+
+  const categories = await request(app).get(`${base}/categories?month=2026-02`).set(auth);
+  const available = categories.body.flatMap((group) => group.categories).map((c) => [c.name, c.available]);
+  assert.deepEqual(available, [['Groceries', 10], ['Household', 20]]);
+
+  await request(app).delete(`${base}/transactions/${refund.body.id}`).set(auth);
+  assert.deepEqual([state.categories[0].spent, state.accounts[0].balance], [120, 400]);
+  const report = await request(app).get(`${base}/integrity`).set(auth);
+  assert.deepEqual(report.body, { consistent: true, discrepancies: [] });
+});
+
+test('transactions book against the category row of their own month', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'months@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'months@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 500, date: '2026-02-01T00:00:00.000Z' });
+  const groceries = await request(app).post(`${base}/categories?month=2026-02`).set(auth).send({ name: 'Groceries' });
+  const household = await request(app).post(`${base}/categories?month=2026-02`).set(auth).send({ name: 'Household' });
+  const spent = (month, name) => {
+    const budget = state.budgets.find((row) => row.month.toISOString().startsWith(month));
+    const master = state.masters.find((row) => row.name === name);
+    return state.categories.find((row) => row.budgetMonthId === budget.id && row.masterCategoryId === master.id)?.spent;
+  };
+
+  // February's rows sent with March dates book against March's rows.
+  const single = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId: groceries.body.id, date: '2026-03-05T00:00:00.000Z', amount: 50 });
+  assert.equal(single.status, 201);
+  assert.notEqual(single.body.categoryId, groceries.body.id);
+  const split = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({
+      accountId: account.body.id,
+      date: '2026-03-09T00:00:00.000Z',
+      amount: 70,
+      splits: [{ categoryId: groceries.body.id, amount: 40 }, { categoryId: household.body.id, amount: 30 }]
+    });
+  assert.equal(split.status, 201);
+  assert.deepEqual([spent('2026-02', 'Groceries'), spent('2026-02', 'Household')], [0, 0]);
+  assert.deepEqual([spent('2026-03', 'Groceries'), spent('2026-03', 'Household')], [90, 30]);
+
+  // Moving a transaction to April moves its booking, split lines included.
+  await request(app).patch(`${base}/transactions/${single.body.id}`).set(auth).send({ date: '2026-04-02T00:00:00.000Z' });
+  await request(app).patch(`${base}/transactions/${split.body.id}`).set(auth).send({ date: '2026-04-03T00:00:00.000Z' });
+  assert.deepEqual([spent('2026-03', 'Groceries'), spent('2026-03', 'Household')], [0, 0]);
+  assert.deepEqual([spent('2026-04', 'Groceries'), spent('2026-04', 'Household')], [90, 30]);
+
+  const report = await request(app).get(`${base}/integrity`).set(auth);
+  assert.deepEqual(report.body, { consistent: true, discrepancies: [] });
+});
+
+test('transfers create linked pairs that stay in sync on edit and delete', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'transfer@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'transfer@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const checking = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 1000, date: '2026-05-01T00:00:00.000Z' });
+  const savings = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Savings', type: 'savings' });
+
+  const transfer = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: checking.body.id, transferAccountId: savings.body.id, date: '2026-05-02T00:00:00.000Z', amount: 500 });
+  assert.equal(transfer.status, 201);
+  assert.equal(transfer.body.transfer.amount, -500);
+  assert.equal(transfer.body.transferTransactionId, transfer.body.transfer.id);
+  assert.equal(state.accounts[0].balance, 500);
+  assert.equal(state.accounts[1].balance, 500);
+  assert.equal(state.budgets[0].availableToBudget, 1000);
+
+  const edited = await request(app).patch(`${base}/transactions/${transfer.body.transfer.id}`).set(auth).send({ amount: -300 });
+  assert.equal(edited.status, 200);
+  assert.equal(state.accounts[0].balance, 700);
+  assert.equal(state.accounts[1].balance, 300);
+
+  const removed = await request(app).delete(`${base}/transactions/${transfer.body.id}`).set(auth);
+  assert.equal(removed.status, 200);
+  assert.equal(state.accounts[0].balance, 1000);
+  assert.equal(state.accounts[1].balance, 0);
+  assert.equal(state.transactions.length, 1);
+});
+
+test('credit card spending funds the payment category and payments draw it down', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'credit@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'credit@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const checking = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 500, date: '2026-06-01T00:00:00.000Z' });
+  const visa = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Visa', type: 'credit', date: '2026-06-01T00:00:00.000Z' });
+  const paymentMaster = state.masters.find((m) => m.paymentAccountId === visa.body.id);
+  assert.equal(state.groups.find((g) => g.id === paymentMaster.groupId).name, 'Credit Card Payments');
+  const payment = state.categories.find((c) => c.masterCategoryId === paymentMaster.id);
+
+  const groceries = await request(app).post(`${base}/categories?month=2026-06`).set(auth).send({ name: 'Groceries' });
+  await request(app).post(`${base}/categories/${groceries.body.id}/assign?month=2026-06`).set(auth).send({ amount: 100 });
+
+  const purchase = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: visa.body.id, categoryId: groceries.body.id, date: '2026-06-05T00:00:00.000Z', amount: 40 });
+  assert.equal(purchase.status, 201);
+  assert.equal(state.categories.find((c) => c.id === groceries.body.id).spent, 40);
+  assert.equal(payment.spent, -40);
+
+  const cardPayment = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: checking.body.id, transferAccountId: visa.body.id, date: '2026-06-20T00:00:00.000Z', amount: 40 });
+  assert.equal(cardPayment.status, 201);
+  assert.equal(payment.spent, 0);
+  assert.equal(state.accounts[1].balance, 0);
+
+  await request(app).delete(`${base}/transactions/${purchase.body.id}`).set(auth);
+  assert.equal(payment.spent, 40);
+});
+
+test('split transactions book each line against its own category', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'split@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'split@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 400, date: '2026-07-01T00:00:00.000Z' });
+  const groceries = await request(app).post(`${base}/categories?month=2026-07`).set(auth).send({ name: 'Groceries' });
+  const household = await request(app).post(`${base}/categories?month=2026-07`).set(auth).send({ name: 'Household' });
+
+  const unbalanced = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({
+      accountId: account.body.id,
+      date: '2026-07-04T00:00:00.000Z',
+      amount: 120,
+      splits: [{ categoryId: groceries.body.id, amount: 80 }, { categoryId: household.body.id, amount: 30 }]
+    });
+  assert.equal(unbalanced.status, 400);
+
+  const costco = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({
+      accountId: account.body.id,
+      date: '2026-07-04T00:00:00.000Z',
+      amount: 120,
+      payee: 'Costco',
+      splits: [{ categoryId: groceries.body.id, amount: 80 }, { categoryId: household.body.id, amount: 40, memo: 'Paper towels' }]
+    });
+  assert.equal(costco.status, 201);
+  assert.equal(costco.body.categoryId, null);
+  assert.equal(costco.body.splits.length, 2);
+  assert.equal(state.accounts[0].balance, 280);
+  assert.equal(state.categories[0].spent, 80);
+  assert.equal(state.categories[1].spent, 40);
+
+  const recategorized = await request(app).patch(`${base}/transactions/${costco.body.id}`).set(auth).send({ categoryId: groceries.body.id });
+  assert.equal(recategorized.status, 200);
+  assert.equal(recategorized.body.splits.length, 0);
+  assert.equal(state.categories[0].spent, 120);
+  assert.equal(state.categories[1].spent, 0);
+
+  await request(app).delete(`${base}/transactions/${costco.body.id}`).set(auth);
+  assert.equal(state.accounts[0].balance, 400);
+  assert.equal(state.categories[0].spent, 0);
+});
+
+test('foreign-currency accounts keep original amounts and book converted amounts', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'fx@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'fx@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const checking = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking' });
+  const noRate = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Euro', type: 'savings', currency: 'EUR', balance: 50000 });
+  assert.equal(noRate.status, 400);
+  const euro = await request(app)
+    .post(`${base}/accounts`)
+    .set(auth)
+    .send({ name: 'Euro', type: 'savings', currency: 'EUR', balance: 50000, exchangeRate: '1.1', date: '2026-03-01T00:00:00.000Z' });
+  assert.equal(euro.status, 201);
+  assert.equal(euro.body.balance, 55000);
+  assert.equal(state.transactions[0].originalAmount, -50000);
+
+  const fractional = await request(app).post(`${base}/transactions`).set(auth).send({ accountId: checking.body.id, date: '2026-03-02T00:00:00.000Z', amount: 10.5 });
+  assert.equal(fractional.status, 400);
+  const unconverted = await request(app).post(`${base}/transactions`).set(auth).send({ accountId: euro.body.id, date: '2026-03-02T00:00:00.000Z', amount: 1000 });
+  assert.equal(unconverted.status, 400);
+
+  const spent = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: euro.body.id, payee: 'Bakery', date: '2026-03-02T00:00:00.000Z', originalAmount: 1000, exchangeRate: '1.085' });
+  assert.equal(spent.status, 201);
+  assert.equal(spent.body.amount, 1085);
+  assert.equal(state.accounts.find((a) => a.id === euro.body.id).balance, 55000 - 1085);
+
+  const edited = await request(app).patch(`${base}/transactions/${spent.body.id}`).set(auth).send({ exchangeRate: '1.1' });
+  assert.equal(edited.body.amount, 1100);
+  assert.equal(edited.body.originalAmount, 1000);
+
+  const listed = await request(app).get(`${base}/accounts`).set(auth);
+  const euroRow = listed.body.find((a) => a.id === euro.body.id);
+  assert.deepEqual([euroRow.currency, euroRow.workingBalance, euroRow.originalBalance], ['EUR', 53900, 49000]);
+  assert.equal(listed.body.find((a) => a.id === checking.body.id).originalBalance, null);
+
+  const crossCurrency = await request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: checking.body.id, transferAccountId: euro.body.id, date: '2026-03-03T00:00:00.000Z', amount: 100 });
+  assert.equal(crossCurrency.status, 400);
+
+  const reconciled = await request(app)
+    .post(`${base}/accounts/${euro.body.id}/reconcile`)
+    .set(auth)
+    .send({ statementBalance: 50000, exchangeRate: '1.1', date: '2026-03-04T00:00:00.000Z' });
+  assert.equal(reconciled.status, 200);
+  assert.equal(reconciled.body.clearedBalance, 50000);
+  assert.equal(reconciled.body.adjustment, null);
+});
+
+test('bulk transaction operations apply atomically with per-item results', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'bulk@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'bulk@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 100000, date: '2026-04-01T00:00:00.000Z' });
+  const food = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Food' });
+  const dining = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Dining' });
+  const post = (payee, date, amount, categoryId = food.body.id) => request(app)
+    .post(`${base}/transactions`)
+    .set(auth)
+    .send({ accountId: account.body.id, categoryId, date, payee, amount });
+  const april = await post('Starbucks', '2026-04-02T00:00:00.000Z', 500);
+  const may = await post('STARBUCKS #12', '2026-05-03T00:00:00.000Z', 700, null);
+  const groceries = await post('Safeway', '2026-04-04T00:00:00.000Z', 4000);
+  const snacks = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Snacks' });
+  const gifts = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Gifts' });
+  const split = await request(app).post(`${base}/transactions`).set(auth).send({
+    accountId: account.body.id,
+    date: '2026-04-06T00:00:00.000Z',
+    payee: 'Starbucks',
+    amount: 1500,
+    cleared: true,
+    splits: [{ categoryId: snacks.body.id, amount: 500 }, { categoryId: gifts.body.id, amount: 1000 }]
+  });
+  assert.equal(split.status, 201);
+
+  const recategorized = await request(app).post(`${base}/transactions/bulk`).set(auth).send({
+    filter: { payee: 'starbucks' },
+    change: { categoryId: dining.body.id }
+  });
+  assert.equal(recategorized.status, 200);
+  assert.deepEqual(recategorized.body.results.map((result) => [result.id, result.status]), [[april.body.id, 200], [may.body.id, 200]]);
+  // May spending lands on Dining's May row, not the April row the change named.
+  const mayDining = state.categories.find((c) => c.id === recategorized.body.results[1].body.categoryId);
+  assert.notEqual(mayDining.id, dining.body.id);
+  assert.equal(mayDining.spent, 700);
+  const spent = (id) => state.categories.find((c) => c.id === id).spent;
+  assert.deepEqual([spent(food.body.id), spent(dining.body.id)], [4000, 500]);
+  // The split purchase matches the filter but keeps the categories of its lines.
+  assert.deepEqual([spent(snacks.body.id), spent(gifts.body.id)], [500, 1000]);
+
+  const cleared = await request(app).post(`${base}/transactions/bulk`).set(auth).send({ filter: { cleared: false }, change: { cleared: true } });
+  assert.equal(cleared.body.results.length, 3);
+  assert.ok(state.transactions.every((t) => t.cleared));
+
+  // The last operation fails, so the memo edit and delete before it are rolled back.
+  const balance = state.accounts[0].balance;
+  const failed = await request(app).post(`${base}/transactions/bulk`).set(auth).send({
+    operations: [
+      { action: 'update', id: groceries.body.id, data: { memo: 'Weekly shop' } },
+      { action: 'delete', id: april.body.id },
+      { action: 'update', id: 'missing', data: { memo: 'Nope' } }
+    ]
+  });
+  assert.equal(failed.status, 404);
+  assert.match(failed.body.error, /Operation 2 failed/);
+  assert.deepEqual(failed.body.results.map((result) => result.status), [200, 200, 404]);
+  assert.equal(state.transactions.find((t) => t.id === groceries.body.id).memo, undefined);
+  assert.ok(state.transactions.some((t) => t.id === april.body.id));
+  assert.deepEqual([state.accounts[0].balance, spent(dining.body.id)], [balance, 500]);
+
+  const applied = await request(app).post(`${base}/transactions/bulk`).set(auth).send({
+    operations: [
+      { action: 'create', data: { accountId: account.body.id, categoryId: food.body.id, date: '2026-04-05T00:00:00.000Z', amount: 250 } },
+      { action: 'update', id: groceries.body.id, data: { amount: 3500 } },
+      { action: 'delete', id: april.body.id }
+    ]
+  });
+  assert.equal(applied.status, 200);
+  assert.deepEqual(applied.body.results.map((result) => [result.action, result.status]), [['create', 201], ['update', 200], ['delete', 200]]);
+  assert.equal(applied.body.results[0].id, applied.body.results[0].body.id);
+  assert.deepEqual([state.accounts[0].balance, spent(food.body.id), spent(dining.body.id)], [balance + 500 + 500 - 250, 3750, 0]);
+});
+
+test('bulk requests run a full batch in one long transaction and refuse filters that match too many', async () => {
+  const state = buildMockPrisma();
+  const app = createApp();
+
+  await request(app).post('/api/auth/register').send({ email: 'bulk-large@example.com', password: 'password123' });
+  const login = await request(app).post('/api/auth/login').send({ email: 'bulk-large@example.com', password: 'password123' });
+  const auth = { Authorization: `Bearer ${login.body.token}` };
+  const base = await budgetBase(app, auth);
+
+  const account = await request(app).post(`${base}/accounts`).set(auth).send({ name: 'Checking', type: 'checking', balance: 100000, date: '2026-04-01T00:00:00.000Z' });
+  const food = await request(app).post(`${base}/categories?month=2026-04`).set(auth).send({ name: 'Food' });
+
+  const transactionOptions = [];
+  const run = prisma.$transaction;
+  prisma.$transaction = (arg, options) => {
+    transactionOptions.push(options);
+    return run(arg, options);
+  };
+
+  const coffee = { accountId: account.body.id, categoryId: food.body.id, date: '2026-04-05T00:00:00.000Z', payee: 'Coffee', amount: 1 };
+  const batch = Array.from({ length: 500 }, () => ({ action: 'create', data: coffee }));
+  const created = await request(app).post(`${base}/transactions/bulk`).set(auth).send({ operations: batch });
+  assert.equal(created.status, 200);
+  assert.equal(created.body.results.length, 500);
+  assert.equal(state.accounts[0].balance, 100000 - 500);
+  assert.ok(transactionOptions.some((options) => options?.timeout > 5000 && options.maxWait > 0));
+
+  const tooLong = await request(app).post(`${base}/transactions/bulk`).set(auth).send({ operations: [...batch, batch[0]] });
+  assert.equal(tooLong.status, 400);
+
+  await request(app).post(`${base}/transactions`).set(auth).send(coffee);
+  const tooMany = await request(app).post(`${base}/transactions/bulk`).set(auth).send({ filter: { payee: 'coffee' }, change: { memo: 'Latte' } });
+  assert.equal(tooMany.status, 400);
+  assert.match(tooMany.body.error, /more than 500/);
+  assert.ok(state.transactions.every((t) => t.memo !== 'Latte'));
+});